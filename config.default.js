@@ -3,7 +3,7 @@ const path = require('path');
 module.exports = {
   // TCP ports
   embeddingPort: 23811,
-  llmPort: 23812,
+  llmPort: Number(process.env.LLM_PORT) || 23812,
 
   // Data directories (relative to project root)
   dataDir: path.resolve(__dirname, 'data'),
@@ -18,16 +18,73 @@ module.exports = {
     apiVersion: '2024-12-01-preview',
   },
 
-  // Embedding model
+  // LLM behind services/llm-server.js (see lib/llm-providers.js)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'azure',  // 'azure' | 'openai' | 'openai-compatible' | 'mock'
+    temperature: 0.1,
+    timeout: 60000,              // per request (ms)
+    // Failed requests (429, 5xx, timeouts, network) are retried; Retry-After is honored
+    retry: { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 30000 },
+    concurrency: { maxConcurrent: 2, maxQueue: 50 },
+    // After failureThreshold failed calls in a row, fail fast for cooldownMs (ping reports degraded)
+    circuitBreaker: { failureThreshold: 5, cooldownMs: 60000 },
+    // api.openai.com (provider: 'openai')
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY || '',
+      model: 'gpt-4.1',
+    },
+    // Any OpenAI-compatible server (provider: 'openai-compatible'), e.g.
+    // Ollama http://127.0.0.1:11434/v1, llama.cpp server http://127.0.0.1:8080/v1,
+    // LM Studio http://127.0.0.1:1234/v1, vLLM http://127.0.0.1:8000/v1
+    'openai-compatible': {
+      baseUrl: process.env.LLM_API_BASE || 'http://127.0.0.1:8080/v1',
+      apiKey: process.env.LLM_API_KEY || '',
+      model: process.env.LLM_MODEL || 'local',
+    },
+    // Deterministic answers for tests / offline use (provider: 'mock')
+    mock: {
+      replay: process.env.LLM_MOCK_REPLAY || null,  // llm-calls.log whose responses to replay
+      latencyMs: 0,
+    },
+  },
+
+  // LLM system prompt templates (see lib/prompt-templates.js); a project can
+  // override them in <project>/.claude/memory-prompts/
+  prompts: {
+    dir: path.resolve(__dirname, 'prompts'),
+  },
+
+  // Embedding model (see lib/embedding-providers.js)
   embedding: {
+    provider: 'transformers',    // 'transformers' | 'openai' | 'hash'
     model: 'Xenova/bge-m3',
     dimensions: 1024,
+    pooling: 'cls',              // transformers: 'cls' | 'mean' | 'none'
+    normalize: true,
+    delegate: true,              // embed via the running embedding server instead of loading the model per process
+    // Long memories also get per-chunk vectors (see lib/chunking.js)
+    chunk: {
+      maxChars: 2000,            // longer embedding texts are chunked (0 = off)
+      overlap: 200,              // overlap when a single paragraph has to be cut
+      aggregate: 'max',          // chunk hits -> memory similarity: 'max' | 'sum'
+    },
+    // OpenAI-compatible /embeddings endpoint (provider: 'openai'); overrides the settings above
+    openai: {
+      baseUrl: process.env.EMBEDDING_API_BASE || 'https://api.openai.com/v1',
+      apiKey: process.env.EMBEDDING_API_KEY || '',
+    },
   },
 
   // Search parameters
   search: {
     maxResults: 3,
     minSimilarity: 0.6,
+    // Hybrid ranking (see lib/search-scoring.js); all overridable per search call
+    fusion: 'weighted',          // 'rrf' | 'weighted' | 'vector' | 'bm25'
+    weights: { vector: 0.7, bm25: 0.3 },
+    rrfK: 60,                    // RRF rank offset
+    confidenceWeight: 0,         // share of the score driven by memory confidence
+    recencyWeight: 0.2,          // share of the score driven by recency (lib/decay.js), 0 = off
   },
 
   // Clustering parameters
@@ -37,13 +94,92 @@ module.exports = {
     maturityConfidence: 0.65,
   },
 
+  // Confidence decay (see lib/decay.js)
+  decay: {
+    // Half-life per memory type in days (null = never decays)
+    halfLifeDays: {
+      fact: 90,
+      decision: 90,
+      bug: 60,
+      pattern: 90,
+      context: 30,
+      preference: 60,
+      skill: null,
+    },
+    // Idle days after which memories of a type are moved to the trash
+    ttlDays: {
+      context: 90,
+    },
+    reinforcement: 0.5,          // how much each access/validation slows decay
+    minConfidence: 0.3,          // decay floor
+  },
+
+  // Semantic deduplication on save: a memory whose nearest neighbour in the same
+  // project reaches the threshold is not stored; instead, per source, the existing
+  // memory is left as is ('skip'), reinforced ('bump') or gets the new content merged in ('merge')
+  dedup: {
+    threshold: 0.93,             // cosine similarity
+    policy: {
+      default: 'bump',
+      'mcp-tool': 'bump',
+      'compact-analyzer': 'bump',
+      'cluster-merge': 'skip',   // a cluster merge that duplicates an existing memory is folded into it
+    },
+  },
+
+  // Duplicate / supersession / contradiction check when a memory is saved: its
+  // nearest neighbours are compared with it by the LLM (compare action)
+  conflicts: {
+    enabled: true,
+    minSimilarity: 0.8,          // vector similarity for a memory to be compared
+    maxCandidates: 5,            // neighbours compared per save
+  },
+
+  // Pinned memories, injected into the first prompt of every session (see memory_pin)
+  pinned: {
+    maxChars: 2000,              // budget for pinned content; pins that do not fit are left out
+  },
+
+  // Project digest injected by the SessionStart hook (hooks/session-start-hook.js):
+  // pinned memories, top preferences/decisions by confidence, recent bugs
+  sessionStart: {
+    maxTokens: 1000,             // budget for the whole digest; memories that do not fit are left out
+    decisions: 5,                // preference / decision memories
+    bugs: 3,                     // bug memories saved within bugDays
+    bugDays: 30,
+  },
+
+  // Trash bin: deleted and merged memories can be restored until purged
+  trash: {
+    retentionDays: 30,
+  },
+
+  // Embedding server caches (entries, 0 = off)
+  cache: {
+    queryEmbeddings: 500,        // query text -> vector
+    searchResults: 200,          // search results, dropped whenever memory.db changes
+  },
+
+  // LLM work deferred while the LLM server was unavailable (see lib/job-worker.js),
+  // run by the embedding server once the LLM is back
+  jobs: {
+    maxAttempts: 5,              // then the job is marked failed
+    retryDelayMs: 60000,         // doubled after each failed attempt
+    pollMs: 30000,               // how often the embedding server checks for new jobs and re-embeds
+    keepDays: 7,                 // finished jobs are pruned after this many days
+  },
+
   // Timeouts (ms)
   timeout: {
     hookPreTool: 300,
     hookPostTool: 300,
     hookUserPrompt: 1500,
+    hookSessionStart: 3000,
     embeddingSearch: 1000,
     embeddingClient: 800,
+    embeddingWrite: 30000,       // embed / embedBatch / save via the embedding server
     llmDefault: 5000,
+    llmAnalyze: 180000,          // analyzeSession, including retries
+    hookSessionEndAnalyze: 30000, // SessionEnd wait for analyzeSession; then it is queued as a job
   },
 };
@@ -3,9 +3,9 @@
  * PostToolUse Memory Hook - Result-triggered memory Push
  *
  * How it works:
- *   1. Reads {tool_name, tool_input, tool_response} from stdin
+ *   1. Reads {tool_name, tool_input, tool_response, cwd} from stdin
  *   2. Concatenates all context into a query (tool name, file paths, commands, content, output, etc.)
- *   3. Performs vector search via embedding service (TCP)
+ *   3. Performs vector search via embedding service (TCP), scoped to the cwd project + global memories
  *   4. Injects found memories via JSON stdout additionalContext into Claude context
  *
  * Performance budget: < 300ms
@@ -16,6 +16,7 @@ const fs = require('fs');
 const path = require('path');
 
 const config = require('../config');
+const { resolveProject } = require('../lib/utils');
 
 const EMBEDDING_PORT = config.embeddingPort;
 const TIMEOUT_MS = config.timeout.hookPostTool;
@@ -54,7 +55,7 @@ function buildQuery(tool, toolInput, toolResponse) {
   return parts.join(' ');
 }
 
-function searchViaEmbedding(query, limit) {
+function searchViaEmbedding(query, limit, project) {
   return new Promise((resolve) => {
     const socket = new net.Socket();
     let buffer = '';
@@ -65,7 +66,7 @@ function searchViaEmbedding(query, limit) {
     }, TIMEOUT_MS - 50);
 
     socket.connect(EMBEDDING_PORT, '127.0.0.1', () => {
-      socket.write(JSON.stringify({ action: 'search', query, limit }) + '\n');
+      socket.write(JSON.stringify({ action: 'search', query, limit, options: { project } }) + '\n');
     });
 
     socket.on('data', (data) => {
@@ -90,7 +91,8 @@ function searchViaEmbedding(query, limit) {
 function formatReminder(memories) {
   const lines = ['<memory_context source="post-tool">'];
   for (const m of memories) {
-    const content = m.content || m.rawContent || '';
+    // Long memories: only the chunk that matched
+    const content = m.snippet || m.content || m.rawContent || '';
     const sim = m.vectorSimilarity ? m.vectorSimilarity.toFixed(2) : '?';
     lines.push(`[#${m.id} ${m.type || '?'}/${m.domain || '?'} sim=${sim}]`);
     lines.push(content);
@@ -128,7 +130,9 @@ async function main() {
       return;
     }
 
-    const raw = await searchViaEmbedding(query, MAX_RESULTS);
+    // Current project + global memories
+    const project = resolveProject(data.cwd || process.cwd());
+    const raw = await searchViaEmbedding(query, MAX_RESULTS, project);
     clearTimeout(failsafe);
     const results = raw ? raw.filter(m => (m.vectorSimilarity || 0) >= MIN_SIMILARITY) : [];
 
@@ -6,15 +6,18 @@
  * - Incremental transcript analysis: extract error patterns, code changes, user preferences
  * - Process unclustered memories, attempt to create new clusters
  * - Mature cluster memories automatically merged into a single high-confidence memory
+ * - Idle memories decay in confidence; memories past their type's TTL are trashed
+ * - Trashed memories past the retention period permanently purged
  */
 
 const path = require('path');
 const fs = require('fs');
 
 const config = require('../config');
-const { log } = require('../lib/utils');
+const { log, clearSessionMarkers } = require('../lib/utils');
 
 const DATA_DIR = config.dataDir;
+const ANALYZE_TIMEOUT_MS = config.timeout.hookSessionEndAnalyze ?? 30000;
 
 // Clustering configuration
 const MIN_CLUSTER_CONFIDENCE = 0.6;
@@ -35,15 +38,25 @@ function getMemoryDb() {
 /**
  * Incremental transcript analysis: from last compact position to session end
  */
-async function analyzeTranscriptIncremental(sessionId, transcriptPath) {
+async function analyzeTranscriptIncremental(sessionId, transcriptPath, cwd) {
   const db = getMemoryDb();
   if (!db || !transcriptPath || !sessionId) return;
 
   try {
     const { analyzeAndSave } = require('../lib/compact-analyzer');
 
-    const result = await analyzeAndSave(transcriptPath, sessionId, { memoryDb: db });
-    log(`[SessionEnd] Transcript analysis: saved ${result.saved || 0} memories`);
+    // Do not hold up the session end on a slow LLM: past the deadline the analysis is queued as a job
+    const result = await analyzeAndSave(transcriptPath, sessionId, { memoryDb: db, cwd, analyzeTimeoutMs: ANALYZE_TIMEOUT_MS });
+    if (result.error) {
+      // Keep the state file: a resumed session picks up the unanalyzed messages
+      log(`[SessionEnd] Transcript analysis failed: ${result.error}`);
+      return;
+    }
+    if (result.deferred) {
+      log(`[SessionEnd] Transcript analysis deferred as job #${result.deferred}`);
+    } else {
+      log(`[SessionEnd] Transcript analysis: saved ${result.saved || 0} memories`);
+    }
 
     // Clean up state file (session ended, no longer needed)
     const stateFile = path.join(DATA_DIR, `compact-state-${sessionId}.json`);
@@ -111,6 +124,40 @@ async function mergeMatureClusters() {
   }
 }
 
+/**
+ * Decay confidence of idle memories and trash expired ones (config.decay)
+ */
+function runDecayMaintenance() {
+  const db = getMemoryDb();
+  if (!db) return;
+
+  try {
+    const result = db.runMaintenance();
+    if (result.decayed > 0 || result.expired > 0) {
+      log(`[SessionEnd] Decay: ${result.decayed} memories decayed, ${result.expired} expired to trash`);
+    }
+  } catch (e) {
+    log(`[SessionEnd] Error in runDecayMaintenance: ${e.message}`);
+  }
+}
+
+/**
+ * Permanently delete trashed memories older than config.trash.retentionDays
+ */
+function purgeExpiredTrash() {
+  const db = getMemoryDb();
+  if (!db) return;
+
+  try {
+    const purged = db.purgeTrash();
+    if (purged > 0) {
+      log(`[SessionEnd] Purged ${purged} memories from trash`);
+    }
+  } catch (e) {
+    log(`[SessionEnd] Error in purgeExpiredTrash: ${e.message}`);
+  }
+}
+
 async function main() {
   log('[SessionEnd] Processing session end...');
 
@@ -130,12 +177,16 @@ async function main() {
 
   const sessionId = sessionData.session_id;
   const transcriptPath = sessionData.transcript_path;
+  const cwd = sessionData.cwd || process.cwd();
 
   log(`[SessionEnd] Session: ${sessionId || 'unknown'}, transcript: ${transcriptPath || 'none'}`);
 
+  // Per-session hook markers (e.g. pinned memories injected) are no longer needed
+  if (sessionId) clearSessionMarkers(sessionId);
+
   // 1. Incremental transcript analysis (from last compact position to session end)
   if (sessionId && transcriptPath) {
-    await analyzeTranscriptIncremental(sessionId, transcriptPath);
+    await analyzeTranscriptIncremental(sessionId, transcriptPath, cwd);
   }
 
   // 2. Process unclustered memories, attempt to create new clusters
@@ -144,6 +195,12 @@ async function main() {
   // 3. Mature cluster memory merging
   await mergeMatureClusters();
 
+  // 4. Confidence decay and TTL expiry
+  runDecayMaintenance();
+
+  // 5. Trash purge
+  purgeExpiredTrash();
+
   // Close database
   if (memoryDb) {
     memoryDb.closeDb();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * SessionStart Hook - Project memory digest at session start
+ *
+ * Without it, the first prompt only gets memories that are semantically close
+ * to it. This hook primes the session with what is worth knowing up front.
+ *
+ * How it works:
+ *   1. Reads {session_id, cwd, source} from stdin
+ *   2. Fetches the digest of the cwd project via embedding service (TCP), or
+ *      reads memory.db directly if the service is not running:
+ *      pinned memories, top preference/decision memories by confidence, recent bugs
+ *      (within config.sessionStart.maxTokens)
+ *   3. Injects it as one <memory_context source="session-start"> block via JSON
+ *      stdout additionalContext
+ *   4. Marks the session so the UserPromptSubmit hook does not inject the pinned
+ *      memories again; if the token budget left some pins out, the marker lists the
+ *      injected ones and the first prompt adds the rest
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { resolveProject, sessionMarkerPath } = require('../lib/utils');
+
+const EMBEDDING_PORT = config.embeddingPort;
+const TIMEOUT_MS = config.timeout.hookSessionStart ?? 3000;
+const REQUEST_TIMEOUT_MS = config.timeout.embeddingSearch;
+const LOG_FILE = path.join(config.logDir, 'hook-inject.log');
+
+function output(additionalContext) {
+  if (!additionalContext) return;
+  console.log(JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'SessionStart',
+      additionalContext,
+    }
+  }));
+}
+
+/**
+ * Digest via the embedding service
+ * @returns {object|null} Digest, or null if the service is unavailable
+ */
+function digestViaEmbedding(project) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    let buffer = '';
+    let resolved = false;
+
+    const timer = setTimeout(() => {
+      if (!resolved) { resolved = true; socket.destroy(); resolve(null); }
+    }, REQUEST_TIMEOUT_MS);
+
+    socket.connect(EMBEDDING_PORT, '127.0.0.1', () => {
+      socket.write(JSON.stringify({ action: 'digest', project }) + '\n');
+    });
+
+    socket.on('data', (data) => {
+      buffer += data.toString();
+      if (buffer.includes('\n') && !resolved) {
+        resolved = true;
+        clearTimeout(timer);
+        socket.destroy();
+        try {
+          const response = JSON.parse(buffer.split('\n')[0]);
+          resolve(response.success ? response : null);
+        } catch { resolve(null); }
+      }
+    });
+
+    socket.on('error', () => {
+      if (!resolved) { resolved = true; clearTimeout(timer); resolve(null); }
+    });
+  });
+}
+
+/**
+ * Digest read from memory.db in this process (the digest needs no embeddings)
+ */
+function digestViaDb(project) {
+  try {
+    return require('../lib/memory-db').getSessionDigest({ project });
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatSection(lines, title, memories, label) {
+  if (memories.length === 0) return;
+  lines.push(`## ${title}`);
+  for (const m of memories) {
+    lines.push(`[#${m.id} ${m.type || '?'}/${m.domain || '?'} ${label(m)}]`);
+    lines.push(m.content || '');
+    lines.push('');
+  }
+}
+
+function formatDigest(digest) {
+  const lines = ['<memory_context source="session-start">'];
+  formatSection(lines, 'Pinned', digest.pinned, () => 'pinned');
+  formatSection(lines, 'Preferences and decisions', digest.decisions, m => `conf=${(m.confidence ?? 0).toFixed(2)}`);
+  formatSection(lines, 'Recent bugs', digest.bugs, m => m.date || 'unknown');
+  lines.push('</memory_context>');
+  return lines.join('\n');
+}
+
+// --- Main ---
+
+async function main() {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+
+  const timer = setTimeout(() => process.exit(0), TIMEOUT_MS);
+
+  let hookInput = {};
+  try { hookInput = JSON.parse(input); } catch {}
+  const sessionId = hookInput.session_id;
+  const project = resolveProject(hookInput.cwd || process.cwd());
+
+  const digest = (await digestViaEmbedding(project)) || digestViaDb(project);
+  clearTimeout(timer);
+  if (!digest) return;
+
+  // Pinned memories are part of the digest: the first prompt must not repeat them,
+  // but still adds those the token budget left out
+  if (sessionId) {
+    const marker = (digest.pinnedOmitted || []).length > 0
+      ? JSON.stringify({ injected: digest.pinned.map(m => m.id) })
+      : new Date().toISOString();
+    try { fs.writeFileSync(sessionMarkerPath(sessionId, 'pinned'), marker); } catch {}
+  }
+
+  const memories = [...digest.pinned, ...digest.decisions, ...digest.bugs];
+  if (memories.length === 0) return;
+
+  const ids = memories.map(m => `#${m.id}`).join(' ');
+  try { fs.appendFileSync(LOG_FILE, `${new Date().toISOString()} [session-start] ${hookInput.source || '-'} injected: ${ids} (~${digest.tokens} tokens${digest.omitted ? `, ${digest.omitted} over budget` : ''})\n`); } catch {}
+  output(formatDigest(digest));
+}
+
+main().catch(() => process.exit(0));
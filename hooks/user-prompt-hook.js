@@ -8,8 +8,10 @@
  * How it works:
  *   1. Reads raw user prompt from stdin
  *   2. Extracts the actual prompt text
- *   3. Searches memories via embedding service (TCP)
- *   4. Outputs memory context + original prompt via stdout
+ *   3. Searches memories via embedding service (TCP), scoped to the cwd project + global memories
+ *   4. On the first prompt of a session, also fetches the pinned memories (memory_pin),
+ *      unless the SessionStart hook already injected them
+ *   5. Outputs memory context + original prompt via stdout
  */
 
 const net = require('net');
@@ -17,6 +19,7 @@ const fs = require('fs');
 const path = require('path');
 
 const config = require('../config');
+const { resolveProject, sessionMarkerPath } = require('../lib/utils');
 
 const EMBEDDING_PORT = config.embeddingPort;
 const TIMEOUT_MS = config.timeout.hookUserPrompt;
@@ -26,23 +29,34 @@ const MIN_SIMILARITY = config.search.minSimilarity;
 const LOG_FILE = path.join(config.logDir, 'hook-inject.log');
 
 /**
- * Extract the actual user prompt from raw stdin input.
- * The input may be wrapped in JSON with a "prompt" field.
+ * Parse the hook JSON payload ({prompt, cwd, session_id, ...}) from raw stdin input.
+ * Returns null if the input is not wrapped in JSON.
  */
-function extractUserPrompt(rawInput) {
+function parseHookInput(rawInput) {
   try {
     const jsonMatch = rawInput.match(/\{[\s\S]*"prompt"\s*:\s*"[\s\S]*"\s*[\s\S]*\}$/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      if (parsed.prompt) return parsed.prompt;
-    }
+    if (jsonMatch) return JSON.parse(jsonMatch[0]);
   } catch (e) {}
+  return null;
+}
+
+/**
+ * Extract the actual user prompt from raw stdin input.
+ * The input may be wrapped in JSON with a "prompt" field.
+ */
+function extractUserPrompt(rawInput) {
+  const parsed = parseHookInput(rawInput);
+  if (parsed && parsed.prompt) return parsed.prompt;
   return rawInput;
 }
 
-// --- Embedding memory search ---
+// --- Embedding service requests ---
 
-function searchViaEmbedding(query, limit) {
+/**
+ * Send one request to the embedding service
+ * @returns {object|null} Successful response, or null on error / timeout
+ */
+function requestEmbedding(payload) {
   return new Promise((resolve) => {
     const socket = new net.Socket();
     let buffer = '';
@@ -53,7 +67,7 @@ function searchViaEmbedding(query, limit) {
     }, SEARCH_TIMEOUT_MS);
 
     socket.connect(EMBEDDING_PORT, '127.0.0.1', () => {
-      socket.write(JSON.stringify({ action: 'search', query, limit }) + '\n');
+      socket.write(JSON.stringify(payload) + '\n');
     });
 
     socket.on('data', (data) => {
@@ -64,7 +78,7 @@ function searchViaEmbedding(query, limit) {
         socket.destroy();
         try {
           const response = JSON.parse(buffer.split('\n')[0]);
-          resolve(response.success ? response.results : null);
+          resolve(response.success ? response : null);
         } catch { resolve(null); }
       }
     });
@@ -75,10 +89,48 @@ function searchViaEmbedding(query, limit) {
   });
 }
 
+async function searchViaEmbedding(query, limit, project) {
+  const response = await requestEmbedding({ action: 'search', query, limit, options: { project } });
+  return response ? response.results : null;
+}
+
+/**
+ * Pinned memories for the first prompt of a session (null if already injected or unavailable)
+ */
+async function fetchPinned(sessionId, project) {
+  // Marks a session whose pinned memories were injected (first prompt only). The
+  // SessionStart hook writes { injected: [ids] } when its budget left some pins out.
+  const marker = sessionId ? sessionMarkerPath(sessionId, 'pinned') : null;
+  if (!marker) return null;
+  let injected = null;
+  if (fs.existsSync(marker)) {
+    try { injected = JSON.parse(fs.readFileSync(marker, 'utf8')).injected; } catch {}
+    if (!Array.isArray(injected)) return null;
+  }
+  const response = await requestEmbedding({ action: 'pinned', project });
+  if (!response) return null;
+  // Only mark the session once the pins were fetched, so a later prompt retries otherwise
+  try { fs.writeFileSync(marker, new Date().toISOString()); } catch {}
+  if (injected) response.memories = response.memories.filter(m => !injected.includes(m.id));
+  return response;
+}
+
+function formatPinned(memories) {
+  const lines = ['<memory_context source="pinned">'];
+  for (const m of memories) {
+    lines.push(`[#${m.id} ${m.type || '?'}/${m.domain || '?'} pinned]`);
+    lines.push(m.content || '');
+    lines.push('');
+  }
+  lines.push('</memory_context>');
+  return lines.join('\n');
+}
+
 function formatReminder(memories) {
   const lines = ['<memory_context source="user-prompt">'];
   for (const m of memories) {
-    const content = m.content || m.rawContent || '';
+    // Long memories: only the chunk that matched
+    const content = m.snippet || m.content || m.rawContent || '';
     const sim = m.vectorSimilarity ? m.vectorSimilarity.toFixed(2) : '?';
     lines.push(`[#${m.id} ${m.type || '?'}/${m.domain || '?'} sim=${sim}]`);
     lines.push(content);
@@ -114,17 +166,32 @@ async function main() {
     }
 
     const actualPrompt = extractUserPrompt(userMessage);
+    const hookInput = parseHookInput(userMessage) || {};
+    const project = resolveProject(hookInput.cwd || process.cwd());
 
     // Embedding memory search: use the full user prompt as query
     const query = actualPrompt;
     let memoryContext = '';
-    if (query.length >= 5) {
-      const raw = await searchViaEmbedding(query, MAX_RESULTS);
-      const results = raw ? raw.filter(m => (m.vectorSimilarity || 0) >= MIN_SIMILARITY) : [];
+    const [pinned, raw] = await Promise.all([
+      fetchPinned(hookInput.session_id, project),
+      query.length >= 5 ? searchViaEmbedding(query, MAX_RESULTS, project) : null
+    ]);
+
+    // Pinned memories have their own size budget (config.pinned.maxChars), on top of the search results
+    const pinnedIds = new Set();
+    if (pinned && pinned.memories.length > 0) {
+      pinned.memories.forEach(m => pinnedIds.add(m.id));
+      const ids = pinned.memories.map(m => `#${m.id}`).join(' ');
+      try { fs.appendFileSync(LOG_FILE, `${new Date().toISOString()} [user-prompt] pinned: ${ids}${pinned.omitted ? ` (${pinned.omitted} over budget)` : ''}\n`); } catch {}
+      memoryContext = formatPinned(pinned.memories) + '\n\n';
+    }
+
+    if (raw) {
+      const results = raw.filter(m => (m.vectorSimilarity || 0) >= MIN_SIMILARITY && !pinnedIds.has(m.id));
       if (results.length > 0) {
         const ids = results.map(m => `#${m.id}(${(m.vectorSimilarity||0).toFixed(2)})`).join(' ');
         try { fs.appendFileSync(LOG_FILE, `${new Date().toISOString()} [user-prompt] injected: ${ids}\n`); } catch {}
-        memoryContext = formatReminder(results);
+        memoryContext += formatReminder(results) + '\n\n';
       }
     }
 
@@ -134,7 +201,7 @@ async function main() {
 
     let output = '';
     if (memoryContext) {
-      output += memoryContext + '\n\n';
+      output += memoryContext;
     }
 
     console.log(output + userMessage);
@@ -0,0 +1,93 @@
+/**
+ * Split long memory text into chunks for per-chunk embeddings
+ *
+ * One vector for a long memory (e.g. a fallback cluster merge that joins many
+ * members with `---`) averages away what each part is about. Texts longer than
+ * `maxChars` are cut at merge separators and blank lines, packing consecutive
+ * pieces into chunks of at most `maxChars`; a single piece longer than that is
+ * cut into windows overlapping by `overlap` characters.
+ *
+ * Pure functions only; memory-db.js embeds and searches the chunks.
+ */
+
+const config = require('../config');
+
+const CHUNK_CONFIG = {
+  // Texts up to this length get no chunks (0 = never chunk)
+  maxChars: config.embedding?.chunk?.maxChars ?? 2000,
+  overlap: config.embedding?.chunk?.overlap ?? 200,
+  // How chunk similarities make up a memory's vector similarity: 'max' | 'sum'
+  aggregate: config.embedding?.chunk?.aggregate ?? 'max'
+};
+
+const BOUNDARY = /\n\s*-{3,}\s*\n|\n\s*\n/g;
+
+/**
+ * Pieces of text between boundaries, as [start, end) offsets
+ */
+function splitPieces(text) {
+  const pieces = [];
+  let start = 0;
+  for (const match of text.matchAll(BOUNDARY)) {
+    if (match.index > start) pieces.push([start, match.index]);
+    start = match.index + match[0].length;
+  }
+  if (start < text.length) pieces.push([start, text.length]);
+  return pieces;
+}
+
+/**
+ * @param {string} text
+ * @param {object} options - { maxChars, overlap } (default: CHUNK_CONFIG)
+ * @returns {Array<{index, start, end, text}>} Empty if the text is short enough for one vector
+ */
+function chunkText(text, options = {}) {
+  const { maxChars = CHUNK_CONFIG.maxChars, overlap = CHUNK_CONFIG.overlap } = options;
+  if (!text || maxChars <= 0 || text.length <= maxChars) return [];
+
+  const ranges = [];
+  let current = null;
+  for (const [start, end] of splitPieces(text)) {
+    if (current && end - current[0] <= maxChars) {
+      current[1] = end;
+      continue;
+    }
+    if (current) ranges.push(current);
+    if (end - start <= maxChars) {
+      current = [start, end];
+      continue;
+    }
+    // Piece too long on its own: overlapping windows
+    const step = Math.max(1, maxChars - Math.min(overlap, maxChars - 1));
+    let windowStart = start;
+    for (; windowStart + maxChars < end; windowStart += step) {
+      ranges.push([windowStart, windowStart + maxChars]);
+    }
+    current = [windowStart, end];
+  }
+  if (current) ranges.push(current);
+
+  return ranges.map(([start, end], index) => ({ index, start, end, text: text.slice(start, end) }));
+}
+
+/**
+ * Vector similarity of a memory from its best whole-text and chunk similarities
+ * @param {number|null} wholeSimilarity - Similarity of the whole-memory vector (null if not a hit)
+ * @param {number[]} chunkSimilarities - Similarities of the memory's chunks that were hits
+ * @param {string} aggregate - 'max': best single match; 'sum': chunk similarities
+ *   added up (memories matching in several places rank higher), capped at 1
+ */
+function aggregateSimilarity(wholeSimilarity, chunkSimilarities, aggregate = CHUNK_CONFIG.aggregate) {
+  if (chunkSimilarities.length === 0) return wholeSimilarity ?? 0;
+  if (aggregate === 'sum') {
+    const sum = chunkSimilarities.reduce((s, v) => s + Math.max(0, v), 0);
+    return Math.min(1, Math.max(sum, wholeSimilarity ?? 0));
+  }
+  return Math.max(wholeSimilarity ?? 0, ...chunkSimilarities);
+}
+
+module.exports = {
+  CHUNK_CONFIG,
+  chunkText,
+  aggregateSimilarity
+};
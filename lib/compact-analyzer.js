@@ -13,9 +13,13 @@
  * Flow:
  *   1. Read transcript JSONL -> parse messages
  *   2. Condense messages into concise text (~6000 chars)
- *   3. Call llm-client.analyzeSession() -> Azure OpenAI
+ *   3. Call llm-client.analyzeSession() -> llm-server (config.llm.provider)
  *   4. Parse returned <memory> blocks
- *   5. Save to database via memory-db.save()
+ *   5. Save to database via the embedding server (or memory-db.save() if it is not
+ *      running), scoped to the project of cwd
+ *
+ * If the LLM is unavailable or the analysis fails, the condensed transcript is
+ * queued as an 'analyze' job and run later by lib/job-worker.js.
  */
 
 const path = require('path');
@@ -23,6 +27,7 @@ const fs = require('fs');
 const readline = require('readline');
 
 const config = require('../config');
+const { resolveProject } = require('./utils');
 const DATA_DIR = config.dataDir;
 const LOG_FILE = path.join(config.logDir, 'compact-analyzer.log');
 
@@ -183,11 +188,14 @@ function shortPath(filePath) {
  * @param {string} transcriptPath - transcript JSONL path
  * @param {string} sessionId - session ID
  * @param {object} options
- * @param {string} options.cwd - working directory
+ * @param {string} options.cwd - working directory (memories are saved to its project)
  * @param {object} options.memoryDb - optional, externally provided memory-db instance
+ * @param {number} options.analyzeTimeoutMs - optional, how long to wait for the LLM analysis
+ *   (default config.timeout.llmAnalyze); past it the transcript is queued as an analyze job
  */
 async function analyzeAndSave(transcriptPath, sessionId, options = {}) {
   const { cwd } = options;
+  const project = resolveProject(cwd);
 
   // Load memory-db
   let db = options.memoryDb;
@@ -232,34 +240,83 @@ async function analyzeAndSave(transcriptPath, sessionId, options = {}) {
 
   // Call LLM for analysis
   let llmClient;
+  let deferReason = null;
   try {
     llmClient = require('./llm-client');
     const available = await llmClient.isAvailable();
-    if (!available) {
-      log(`[Analyzer] LLM service not available`);
-      return { saved: 0 };
-    }
+    if (!available) deferReason = 'LLM service not available';
   } catch (e) {
     log(`[Analyzer] Failed to load llm-client: ${e.message}`);
     return { saved: 0 };
   }
 
-  const result = await llmClient.analyzeSession(condensed);
+  const result = deferReason ? null : await llmClient.analyzeSession(condensed, { project, timeoutMs: options.analyzeTimeoutMs });
+  if (result && result.error) deferReason = result.error;
+
+  if (deferReason) {
+    // Queue the condensed transcript for the job worker (lib/job-worker.js) and
+    // move the incremental state on, so these messages are not analyzed twice
+    let jobId;
+    try {
+      jobId = db.enqueueJob('analyze', { transcript: condensed, sessionId, project });
+    } catch (e) {
+      // Keep the incremental state: these messages are analyzed again next time
+      log(`[Analyzer] LLM analysis failed, will retry from line ${lastProcessedLine}: ${deferReason} (queueing failed: ${e.message})`);
+      return { saved: 0, error: deferReason };
+    }
+    log(`[Analyzer] LLM analysis deferred as job #${jobId}: ${deferReason}`);
+    saveState(stateFile, sessionId, allMessages.length);
+    if (!options.memoryDb && db.closeDb) db.closeDb();
+    return { saved: 0, deferred: jobId };
+  }
   const memories = result.memories || [];
 
   log(`[Analyzer] LLM returned ${memories.length} memories`);
 
-  // Save memories
+  // Save memories, through the embedding server's warm model when it is running
+  let saveMemory = (content, saveOptions) => db.save(content, saveOptions);
+  try {
+    const embeddingClient = require('./embedding-client');
+    if (await embeddingClient.isServerRunning()) {
+      saveMemory = (content, saveOptions) => embeddingClient.save(content, saveOptions);
+    }
+  } catch (e) {
+    log(`[Analyzer] embedding-client not available: ${e.message}`);
+  }
+
+  const saved = await saveAnalyzedMemories(memories, { project, saveMemory, promptVersion: result.promptVersion });
+
+  saveState(stateFile, sessionId, allMessages.length);
+
+  // Close DB (only when loaded by CLI mode itself)
+  if (!options.memoryDb && db.closeDb) {
+    db.closeDb();
+  }
+
+  log(`[Analyzer] Done: saved ${saved}/${memories.length} memories`);
+  return { saved, total: memories.length };
+}
+
+/**
+ * Save memories returned by llm-client.analyzeSession()
+ * @param {Array} memories - Parsed <memory> blocks
+ * @param {object} options - { project, saveMemory(content, saveOptions), promptVersion }
+ * @returns {number} Number of memories created
+ */
+async function saveAnalyzedMemories(memories, options) {
+  const { project, saveMemory, promptVersion = null } = options;
   let saved = 0;
   for (const mem of memories) {
     try {
-      const saveResult = await db.save(mem.summary, {
+      const saveResult = await saveMemory(mem.summary, {
         type: mem.type,
         domain: mem.domain,
         confidence: mem.confidence || 0.8,
         source: 'compact-analyzer',
+        project,
         skipStructurize: true,
-        structuredContent: mem.structuredContent
+        structuredContent: mem.structuredContent,
+        promptVersion
       });
 
       if (saveResult.action === 'created') {
@@ -272,30 +329,27 @@ async function analyzeAndSave(transcriptPath, sessionId, options = {}) {
       log(`[Analyzer] Save error: ${e.message}`);
     }
   }
+  return saved;
+}
 
-  // Update incremental state
+/**
+ * Update incremental state: messages before lastLine have been handled
+ */
+function saveState(stateFile, sessionId, lastLine) {
   try {
     fs.writeFileSync(stateFile, JSON.stringify({
       sessionId,
-      lastLine: allMessages.length,
+      lastLine,
       updatedAt: new Date().toISOString()
     }));
   } catch (e) {
     log(`[Analyzer] Failed to save state: ${e.message}`);
   }
-
-  // Close DB (only when loaded by CLI mode itself)
-  if (!options.memoryDb && db.closeDb) {
-    db.closeDb();
-  }
-
-  log(`[Analyzer] Done: saved ${saved}/${memories.length} memories`);
-  return { saved, total: memories.length };
 }
 
 // --- Exports ---
 
-module.exports = { analyzeAndSave, loadMessagesFromTranscript };
+module.exports = { analyzeAndSave, saveAnalyzedMemories, loadMessagesFromTranscript };
 
 // --- CLI mode ---
 
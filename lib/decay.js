@@ -0,0 +1,113 @@
+/**
+ * Confidence decay model for memories
+ *
+ * A memory's relevance halves every `halfLifeDays` (per memory type) since it
+ * was last reinforced, i.e. the later of created_at and last_accessed_at.
+ * Memories that keep being used or validated (access_count, evidence_count)
+ * decay more slowly: each use stretches the half-life logarithmically.
+ *
+ * Pure functions only; memory-db.js applies them in search scoring and in the
+ * periodic maintenance pass (runMaintenance).
+ */
+
+const config = require('../config');
+
+// Defaults come from config.default.js; a config.js decay block is merged over them
+const DEFAULTS = require('../config.default').decay;
+
+const DECAY_CONFIG = {
+  ...DEFAULTS,
+  ...config.decay,
+  // Half-life per memory type in days (null = never decays)
+  halfLifeDays: { ...DEFAULTS.halfLifeDays, ...config.decay?.halfLifeDays },
+  // Idle days after which a memory of that type is moved to the trash (absent = never)
+  ttlDays: config.decay?.ttlDays ?? DEFAULTS.ttlDays
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value ('YYYY-MM-DD HH:MM:SS', UTC)
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const ms = Date.parse(String(value).replace(' ', 'T') + (/Z$|[+-]\d\d:\d\d$/.test(value) ? '' : 'Z'));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Time the memory was last reinforced (created, accessed or already decayed)
+ * @param {object} memory - Row with created_at, last_accessed_at and optionally decayed_at
+ * @param {boolean} includeDecayed - Also consider decayed_at (maintenance pass)
+ */
+function referenceTime(memory, includeDecayed = false) {
+  const times = [memory.created_at, memory.last_accessed_at]
+    .concat(includeDecayed ? [memory.decayed_at] : [])
+    .map(parseTimestamp)
+    .filter(t => t !== null);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Effective half-life in days for a memory, or null if its type never decays
+ */
+function effectiveHalfLife(memory) {
+  const halfLives = DECAY_CONFIG.halfLifeDays;
+  const base = memory.type in halfLives ? halfLives[memory.type] : halfLives.context;
+  if (!base) return null;
+  const uses = (memory.access_count || 0) + (memory.evidence_count || 0);
+  return base * (1 + DECAY_CONFIG.reinforcement * Math.log1p(uses));
+}
+
+/**
+ * Decay factor in (0, 1] for the time elapsed since `since`
+ * @param {object} memory - Row with type, access_count, evidence_count
+ * @param {number|null} since - Epoch ms to measure from
+ * @param {number} now - Epoch ms
+ */
+function decayFactor(memory, since, now = Date.now()) {
+  const halfLife = effectiveHalfLife(memory);
+  if (!halfLife || since === null) return 1;
+  const ageDays = Math.max(0, now - since) / DAY_MS;
+  return Math.pow(0.5, ageDays / halfLife);
+}
+
+/**
+ * Recency factor used to weight search results (1 = just used)
+ */
+function recencyFactor(memory, now = Date.now()) {
+  return decayFactor(memory, referenceTime(memory), now);
+}
+
+/**
+ * Confidence after decaying since the last reinforcement or decay pass,
+ * approaching DECAY_CONFIG.minConfidence but never dropping below it
+ */
+function decayedConfidence(memory, now = Date.now()) {
+  const confidence = memory.confidence ?? 0.5;
+  const floor = DECAY_CONFIG.minConfidence;
+  if (confidence <= floor) return confidence;
+  const factor = decayFactor(memory, referenceTime(memory, true), now);
+  return floor + (confidence - floor) * factor;
+}
+
+/**
+ * Whether a memory has been idle longer than its type's TTL
+ */
+function isExpired(memory, now = Date.now()) {
+  const ttl = DECAY_CONFIG.ttlDays[memory.type];
+  if (!ttl) return false;
+  const since = referenceTime(memory);
+  return since !== null && (now - since) / DAY_MS > ttl;
+}
+
+module.exports = {
+  DECAY_CONFIG,
+  parseTimestamp,
+  referenceTime,
+  effectiveHalfLife,
+  recencyFactor,
+  decayedConfidence,
+  isExpired
+};
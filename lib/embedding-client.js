@@ -7,12 +7,20 @@ const { ensureDir } = require('./utils');
 const PORT = config.embeddingPort;
 const HOST = '127.0.0.1';
 const TIMEOUT_MS = config.timeout.embeddingClient;
+const WRITE_TIMEOUT_MS = config.timeout.embeddingWrite ?? 30000;
 const LOG_FILE = path.join(config.logDir, 'embedding-calls.log');
 
 ensureDir(path.dirname(LOG_FILE));
 
 function str(v) { return v == null ? '' : typeof v === 'string' ? v : JSON.stringify(v); }
 
+// Vectors are too large to log in full
+function summarize(value) {
+  if (!value.embeddings && !value.embedding) return str(value);
+  const vectors = value.embeddings || [value.embedding];
+  return `space=${value.space} vectors=${vectors.filter(Boolean).length}/${vectors.length}`;
+}
+
 function log(msg) {
   const line = `[${new Date().toISOString()}] ${msg}\n`;
   try { fs.appendFileSync(LOG_FILE, line); } catch (e) {}
@@ -20,7 +28,7 @@ function log(msg) {
 
 async function sendRequest(req, timeout = TIMEOUT_MS) {
   const startTime = Date.now();
-  log(`[REQ] action=${req.action} query=${str(req.query)} limit=${req.limit || '-'}`);
+  log(`[REQ] action=${req.action} query=${str(req.query ?? req.text ?? req.texts ?? req.content)} limit=${req.limit || '-'}`);
 
   return new Promise((resolve, reject) => {
     const socket = new net.Socket();
@@ -31,7 +39,7 @@ async function sendRequest(req, timeout = TIMEOUT_MS) {
       const duration = Date.now() - startTime;
       if (type === 'resolve') {
         const resultCount = value.results ? value.results.length : '-';
-        log(`[RES] action=${req.action} duration=${duration}ms results=${resultCount} response=${str(value)}`);
+        log(`[RES] action=${req.action} duration=${duration}ms results=${resultCount} response=${summarize(value)}`);
       } else {
         log(`[ERR] action=${req.action} duration=${duration}ms error=${value.message || value}`);
       }
@@ -92,6 +100,32 @@ async function quickSearch(query, limit = 3, options = {}) {
   return response.results;
 }
 
+/**
+ * Embed one text with the server's warm model
+ * @param {string} space - Embedding space key the vector must belong to (default: active)
+ */
+async function embed(text, space = null) {
+  const response = await sendRequest({ action: 'embed', text, space }, WRITE_TIMEOUT_MS);
+  return response.embedding;
+}
+
+/**
+ * Embed several texts in one request
+ * @returns {object} { embeddings: (number[]|null)[], errors: (string|null)[], space }
+ */
+async function embedBatch(texts, space = null) {
+  const response = await sendRequest({ action: 'embedBatch', texts, space }, WRITE_TIMEOUT_MS);
+  return { embeddings: response.embeddings, errors: response.errors, space: response.space };
+}
+
+/**
+ * Save a memory through the server (same options and result as memory-db.save)
+ */
+async function save(content, options = {}) {
+  const response = await sendRequest({ action: 'save', content, options }, WRITE_TIMEOUT_MS);
+  return response.result;
+}
+
 async function ping() {
   try {
     const response = await sendRequest({ action: 'ping' }, 200);
@@ -110,4 +144,4 @@ async function isServerRunning() {
   return await ping();
 }
 
-module.exports = { search, quickSearch, ping, getStats, isServerRunning, PORT, HOST };
+module.exports = { search, quickSearch, embed, embedBatch, save, ping, getStats, isServerRunning, PORT, HOST };
@@ -0,0 +1,229 @@
+/**
+ * Embedding providers
+ *
+ * Every provider is a plain object:
+ *   { name, model, dimensions, embed(text) -> Promise<number[]>,
+ *     embedBatch(texts) -> Promise<number[][]>, warmup() -> Promise<void> }
+ * embed() / embedBatch() throw on failure; memory-db.getEmbeddings() logs and
+ * turns that into per-text errors.
+ *
+ * Providers (config.embedding.provider):
+ *   transformers - local transformers.js model (default: Xenova/bge-m3, CLS pooling)
+ *   openai       - OpenAI-compatible POST {baseUrl}/embeddings endpoint
+ *   hash         - deterministic feature hashing, no model; for tests and offline use
+ */
+
+const http = require('http');
+const https = require('https');
+
+function l2Normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((s, v) => s + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+// ============== transformers.js ==============
+
+/**
+ * @param {object} options - { model, dimensions, pooling: 'cls'|'mean'|'none', normalize, device }
+ */
+function createTransformersProvider(options = {}) {
+  const { model = 'Xenova/bge-m3', dimensions = 1024, pooling = 'cls', normalize = true, device = 'cpu' } = options;
+  let extractor = null;
+
+  async function load() {
+    if (extractor) return extractor;
+    const { pipeline } = await import('@huggingface/transformers');
+    console.error(`[embedding] Loading ${model} via transformers.js...`);
+    extractor = await pipeline('feature-extraction', model, { device });
+    console.error(`[embedding] Embedding model ready (${model})`);
+    return extractor;
+  }
+
+  return {
+    name: 'transformers',
+    model,
+    dimensions,
+    async embed(text) {
+      const pipe = await load();
+      const output = await pipe(text, { pooling, normalize });
+      return Array.from(output.data);
+    },
+    async embedBatch(texts) {
+      const pipe = await load();
+      const output = await pipe(texts, { pooling, normalize });
+      return output.tolist();
+    },
+    async warmup() {
+      await load();
+    }
+  };
+}
+
+// ============== OpenAI-compatible HTTP ==============
+
+/**
+ * @param {object} options - { baseUrl, apiKey, model, dimensions, normalize, timeout }
+ */
+function createOpenAIProvider(options = {}) {
+  const {
+    baseUrl = 'https://api.openai.com/v1',
+    apiKey = '',
+    model = 'text-embedding-3-small',
+    dimensions = 1536,
+    normalize = true,
+    timeout = 10000
+  } = options;
+
+  function request(input) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(baseUrl.replace(/\/+$/, '') + '/embeddings');
+      const transport = url.protocol === 'http:' ? http : https;
+      const postData = JSON.stringify({ model, input });
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const req = transport.request({
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: url.pathname + url.search,
+        method: 'POST',
+        headers,
+        timeout
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          try {
+            const json = JSON.parse(data);
+            if (json.error || res.statusCode >= 400) {
+              reject(new Error(json.error?.message || `HTTP ${res.statusCode}`));
+              return;
+            }
+            const rows = (json.data || []).slice().sort((a, b) => (a.index || 0) - (b.index || 0));
+            resolve(rows.map(r => r.embedding));
+          } catch (e) {
+            reject(new Error(`Invalid response: ${data.slice(0, 200)}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  return {
+    name: 'openai',
+    model,
+    dimensions,
+    async embed(text) {
+      const [vector] = await request(text);
+      if (!vector) throw new Error('No embedding returned');
+      return normalize ? l2Normalize(vector) : vector;
+    },
+    async embedBatch(texts) {
+      const vectors = await request(texts);
+      if (vectors.length !== texts.length) throw new Error(`Expected ${texts.length} embeddings, got ${vectors.length}`);
+      return normalize ? vectors.map(l2Normalize) : vectors;
+    },
+    async warmup() {}
+  };
+}
+
+// ============== Hash (deterministic) ==============
+
+// FNV-1a, 32 bit
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Feature hashing of word unigrams and character trigrams: identical texts get
+ * identical vectors and texts sharing words get similar ones, without a model
+ * @param {object} options - { dimensions } (the model setting does not apply)
+ */
+function createHashProvider(options = {}) {
+  const { dimensions = 1024 } = options;
+
+  const provider = {
+    name: 'hash',
+    model: 'hash-v1',
+    dimensions,
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      const normalized = String(text || '').toLowerCase();
+      const words = normalized.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+      const features = [...words];
+      for (const word of words) {
+        for (let i = 0; i + 3 <= word.length; i++) features.push(`#${word.slice(i, i + 3)}`);
+      }
+      for (const feature of features) {
+        const h = fnv1a(feature);
+        vector[h % dimensions] += (h & 0x80000000) ? -1 : 1;
+      }
+      return l2Normalize(vector);
+    },
+    async embedBatch(texts) {
+      return Promise.all(texts.map(text => provider.embed(text)));
+    },
+    async warmup() {}
+  };
+  return provider;
+}
+
+// ============== Factory ==============
+
+const PROVIDERS = {
+  transformers: createTransformersProvider,
+  openai: createOpenAIProvider,
+  hash: createHashProvider
+};
+
+/**
+ * Effective settings of the selected provider
+ * Provider-specific settings live under config.embedding[provider] and
+ * override the shared model / dimensions / pooling / normalize settings;
+ * `overrides` (e.g. a stored embedding space) win over both.
+ * @returns {object} { provider, model, dimensions, ...provider options }
+ */
+function resolveEmbeddingConfig(embeddingConfig = {}, overrides = {}) {
+  const name = overrides.provider || embeddingConfig.provider || 'transformers';
+  const { provider, ...shared } = embeddingConfig;
+  for (const key of Object.keys(PROVIDERS)) delete shared[key];
+  return { ...shared, ...embeddingConfig[name], ...overrides, provider: name };
+}
+
+/**
+ * Create the provider selected by config.embedding.provider (see resolveEmbeddingConfig)
+ */
+function createEmbeddingProvider(embeddingConfig = {}, overrides = {}) {
+  const resolved = resolveEmbeddingConfig(embeddingConfig, overrides);
+  const factory = PROVIDERS[resolved.provider];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${resolved.provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(resolved);
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveEmbeddingConfig,
+  createEmbeddingProvider,
+  createTransformersProvider,
+  createOpenAIProvider,
+  createHashProvider
+};
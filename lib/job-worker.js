@@ -0,0 +1,130 @@
+/**
+ * Runs deferred LLM jobs (llm_jobs table, see memory-db.js enqueueJob)
+ *
+ * Work that needs the LLM server is queued instead of lost when the server is
+ * down or failing:
+ *   - structurize: a memory saved with raw content only (memory-db.save)
+ *   - merge:       a cluster merged by plain concatenation (mergeClusterMemories)
+ *   - analyze:     a condensed session transcript (compact-analyzer.js)
+ *   - compare:     the duplicate / contradiction check of a saved memory (memory-db.detectConflicts)
+ *
+ * The embedding server calls runNextJob() in a loop, one job at a time, and
+ * only while the LLM server is reachable and its circuit breaker is not open.
+ * A failed job is retried with backoff up to config.jobs.maxAttempts times.
+ */
+
+const handlers = {
+  /**
+   * Structure a memory saved while the LLM was unavailable
+   */
+  async structurize(job, { memoryDb }) {
+    const memory = memoryDb.getMemory(job.memory_id);
+    if (!memory) return { skipped: 'memory deleted' };
+    if (memory.structured_content) return { skipped: 'already structured' };
+
+    const structured = await memoryDb.structurizeWithLLM(memory.content, memory.type, { domain: memory.domain, project: memory.project });
+    if (!structured) throw new Error('LLM structurize failed');
+    if (structured.__rejected) {
+      // Same outcome as a rejection at save time, but restorable from the trash
+      memoryDb.deleteMemory(memory.id, { reason: `rejected by LLM (${structured.reason || 'low value'})` });
+      return { rejected: structured.reason || 'low value' };
+    }
+
+    const update = await memoryDb.updateMemory(memory.id, {
+      structuredContent: structured.structuredContent,
+      promptVersion: structured.promptVersion
+    }, { reason: 'deferred LLM structurize', skipStructurize: true });
+    return { updated: !!update, revision: update?.revision ?? null };
+  },
+
+  /**
+   * Replace the concatenated content of a fallback cluster merge with an LLM merge
+   */
+  async merge(job, { memoryDb, llmClient }) {
+    const { texts, theme, type, domain } = job.payload || {};
+    if (!Array.isArray(texts) || texts.length === 0) return { skipped: 'no source texts' };
+    const memory = memoryDb.getMemory(job.memory_id);
+    if (!memory) return { skipped: 'memory deleted' };
+    if (memory.structured_content) return { skipped: 'already structured' };
+
+    const result = await llmClient.merge(texts, domain, { project: memory.project });
+    if (result.error) throw new Error(`LLM merge failed: ${result.error}`);
+
+    const fields = memoryDb.mergedMemoryFields(result.merged, theme || memory.summary, type || memory.type, domain || memory.domain);
+    const update = await memoryDb.updateMemory(memory.id, {
+      content: fields.content,
+      structuredContent: fields.structuredContent,
+      promptVersion: result.promptVersion,
+      confidence: Math.max(memory.confidence, 0.9)
+    }, { reason: 'deferred LLM merge', skipStructurize: true });
+    return { updated: !!update, revision: update?.revision ?? null };
+  },
+
+  /**
+   * Analyze a session transcript queued by compact-analyzer.js
+   */
+  async analyze(job, { memoryDb, llmClient }) {
+    const { transcript, project = null } = job.payload || {};
+    if (!transcript) return { skipped: 'empty transcript' };
+
+    const result = await llmClient.analyzeSession(transcript, { project });
+    if (result.error) throw new Error(result.error);
+
+    const { saveAnalyzedMemories } = require('./compact-analyzer');
+    const memories = result.memories || [];
+    const saved = await saveAnalyzedMemories(memories, {
+      project,
+      promptVersion: result.promptVersion,
+      saveMemory: (content, saveOptions) => memoryDb.save(content, saveOptions)
+    });
+    return { saved, total: memories.length };
+  },
+
+  /**
+   * Compare a memory saved while the LLM was unavailable with its nearest neighbours
+   */
+  async compare(job, { memoryDb }) {
+    const memory = memoryDb.getMemory(job.memory_id);
+    if (!memory) return { skipped: 'memory deleted' };
+
+    const result = await memoryDb.detectConflicts(memory.id);
+    if (result.status === 'unavailable' || result.status === 'failed') throw new Error('LLM compare failed');
+    const { status, duplicateOf, superseded, conflicts } = result;
+    return { status, duplicateOf, superseded, conflicts };
+  }
+};
+
+/**
+ * Run the next due job, if any
+ * @param {object} deps - { memoryDb, llmClient } (default: the lib modules)
+ * @returns {object} { status: 'idle'|'waiting'|'done'|'retry'|'failed', job, result, error }
+ *   'waiting': jobs are due but the LLM server is unavailable
+ */
+async function runNextJob(deps = {}) {
+  const memoryDb = deps.memoryDb || require('./memory-db');
+  const llmClient = deps.llmClient || require('./llm-client');
+
+  if (!memoryDb.hasDueJobs()) return { status: 'idle' };
+
+  const llm = await llmClient.getStatus();
+  if (!llm.available) return { status: 'waiting', error: llm.lastError || 'LLM service not available' };
+  if (llm.retryAt && Date.parse(llm.retryAt) > Date.now()) {
+    return { status: 'waiting', error: `LLM circuit open until ${llm.retryAt}` };
+  }
+
+  const job = memoryDb.claimJob();
+  if (!job) return { status: 'idle' };
+
+  const handler = handlers[job.kind];
+  try {
+    if (!handler) throw new Error(`Unknown job kind: ${job.kind}`);
+    const result = await handler(job, { memoryDb, llmClient });
+    memoryDb.completeJob(job.id, result);
+    return { status: 'done', job, result };
+  } catch (e) {
+    const status = memoryDb.failJob(job.id, e.message);
+    return { status: status === 'failed' ? 'failed' : 'retry', job, error: e.message };
+  }
+}
+
+module.exports = { runNextJob, handlers };
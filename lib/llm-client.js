@@ -43,8 +43,8 @@ async function request(action, params, timeout = TIMEOUT_MS) {
           try {
             const result = JSON.parse(response.trim());
             if (result.success) { done('resolve', result); }
-            else { done('reject', new Error(result.error || 'LLM request failed')); }
-          } catch (e) { done('reject', new Error('Invalid response from LLM service')); }
+            else { done('reject', Object.assign(new Error(result.error || 'LLM request failed'), { answered: true })); }
+          } catch (e) { done('reject', Object.assign(new Error('Invalid response from LLM service'), { answered: true })); }
         }
       }
     });
@@ -53,9 +53,23 @@ async function request(action, params, timeout = TIMEOUT_MS) {
   });
 }
 
+const ANALYZE_TIMEOUT_MS = config.timeout.llmAnalyze ?? 180000;
+
+// timeoutMs tells the server how long we wait, so it does not retry past it
 async function isAvailable() { try { const result = await request('ping', {}, 2000); return result.success; } catch (e) { return false; } }
-async function structurize(text, type) { try { const result = await request('structurize', { text, type }, 15000); if (result.success && result.structured) return result.structured; return null; } catch (e) { return null; } }
-async function merge(memories, domain) { try { const result = await request('merge', { memories, domain }, 20000); if (result.success && result.merged) return result.merged; return null; } catch (e) { return null; } }
-async function analyzeSession(transcript) { try { const result = await request('analyzeSession', { transcript }, 30000); return { memories: result.memories || [] }; } catch (e) { return { memories: [] }; } }
+async function getStatus() { try { const result = await request('ping', {}, 2000); return { available: true, degraded: !!result.degraded, ...result.status }; } catch (e) { return { available: false, degraded: true, lastError: e.message }; } }
+// Failures are returned as { error, unavailable } instead of null, so callers can tell a
+// request the server answered with an error from a server that is down or did not answer
+// in time (unavailable: true), and queue the work as a job (see lib/job-worker.js)
+function failure(e) { return { error: e.message, unavailable: !e.answered }; }
+
+// options.project: project key whose prompt overrides apply (see lib/prompt-templates.js)
+// Results carry the promptVersion of the template that produced them
+async function structurize(text, type, options = {}) { try { const result = await request('structurize', { text, type, project: options.project || null, timeoutMs: 15000 }, 15000); return { structured: result.structured, promptVersion: result.promptVersion || null }; } catch (e) { return failure(e); } }
+async function merge(memories, domain, options = {}) { try { const result = await request('merge', { memories, domain, project: options.project || null, timeoutMs: 20000 }, 20000); if (!result.merged) return { error: 'Empty merge result', unavailable: false }; return { merged: result.merged, promptVersion: result.promptVersion || null }; } catch (e) { return failure(e); } }
+// candidates: [{ id, text }]; returns { relations: [{ id, relation, reason }], promptVersion }
+async function compare(text, candidates, options = {}) { try { const result = await request('compare', { text, candidates, project: options.project || null, timeoutMs: 20000 }, 20000); return { relations: result.relations || [], promptVersion: result.promptVersion || null }; } catch (e) { return failure(e); } }
+// options.timeoutMs: how long to wait (default config.timeout.llmAnalyze)
+async function analyzeSession(transcript, options = {}) { const timeout = options.timeoutMs || ANALYZE_TIMEOUT_MS; try { const result = await request('analyzeSession', { transcript, project: options.project || null, timeoutMs: timeout }, timeout); return { memories: result.memories || [], promptVersion: result.promptVersion || null }; } catch (e) { return { memories: [], ...failure(e) }; } }
 
-module.exports = { isAvailable, structurize, merge, analyzeSession, LLM_PORT };
+module.exports = { isAvailable, getStatus, structurize, merge, analyzeSession, compare, LLM_PORT };
@@ -0,0 +1,382 @@
+/**
+ * LLM chat providers for services/llm-server.js
+ *
+ * Every provider is a plain object:
+ *   { name, model, endpoint, chat(messages, { maxTokens, action }) -> Promise<string> }
+ * chat() resolves with the text of the first choice and throws on failure;
+ * `action` is the llm-server action the call is made for.
+ *
+ * Providers (config.llm.provider):
+ *   azure             - Azure OpenAI deployment (settings from config.azure)
+ *   openai            - api.openai.com
+ *   openai-compatible - any OpenAI-compatible /chat/completions server:
+ *                       Ollama, llama.cpp server, vLLM, LM Studio, ...
+ *   mock              - deterministic rule-based answers, optionally replaying
+ *                       responses recorded in llm-calls.log; for tests and offline use
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @returns {Promise<object>} Parsed body; rejects on network errors, timeouts,
+ *   HTTP errors (err.status set) and invalid JSON
+ */
+function postJson(url, headers, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'http:' ? http : https;
+    const postData = JSON.stringify(body);
+
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+        ...headers
+      },
+      timeout
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (e) {
+          const err = new Error(`Invalid response (HTTP ${res.statusCode}): ${data.slice(0, 200)}`);
+          err.status = res.statusCode >= 400 ? res.statusCode : undefined;
+          err.headers = res.headers;
+          reject(err);
+          return;
+        }
+        if (json.error || res.statusCode >= 400) {
+          const err = new Error(json.error?.message || json.error || `HTTP ${res.statusCode}`);
+          err.status = res.statusCode;
+          err.headers = res.headers;
+          reject(err);
+          return;
+        }
+        resolve(json);
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Chat completion against an OpenAI-style endpoint
+ * @param {object} options - { url, headers, model, temperature, timeout, defaultMaxTokens }
+ */
+function createChatProvider(name, options) {
+  const { url, headers = {}, model, temperature = 0.1, timeout = 60000, defaultMaxTokens } = options;
+
+  return {
+    name,
+    model,
+    endpoint: url.origin,
+    async chat(messages, chatOptions = {}) {
+      const body = { messages, temperature };
+      if (model) body.model = model;
+      const maxTokens = chatOptions.maxTokens || defaultMaxTokens;
+      if (maxTokens) body.max_tokens = maxTokens;
+
+      const json = await postJson(url, headers, body, timeout);
+      const content = json.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') throw new Error('No completion returned');
+      return content;
+    }
+  };
+}
+
+// ============== Azure OpenAI ==============
+
+/**
+ * @param {object} options - { endpoint, apiKey, deployment, apiVersion, temperature, timeout }
+ */
+function createAzureProvider(options = {}) {
+  const { endpoint, apiKey, deployment = 'gpt-4.1', apiVersion = '2024-12-01-preview' } = options;
+  if (!endpoint || !apiKey) {
+    throw new Error('Azure OpenAI endpoint and apiKey must be configured (AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_KEY or config.azure)');
+  }
+  return createChatProvider('azure', {
+    ...options,
+    url: new URL(`/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`, endpoint),
+    headers: { 'api-key': apiKey },
+    model: null,
+    defaultMaxTokens: 32768
+  });
+}
+
+// ============== OpenAI and compatible servers ==============
+
+function chatUrl(baseUrl) {
+  return new URL(baseUrl.replace(/\/+$/, '') + '/chat/completions');
+}
+
+/**
+ * @param {object} options - { baseUrl, apiKey, model, temperature, timeout }
+ */
+function createOpenAIProvider(options = {}) {
+  const { baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4.1' } = options;
+  if (!apiKey) {
+    throw new Error('OpenAI apiKey must be configured (OPENAI_API_KEY or config.llm.openai.apiKey)');
+  }
+  return createChatProvider('openai', {
+    ...options,
+    url: chatUrl(baseUrl),
+    headers: { Authorization: `Bearer ${apiKey}` },
+    model,
+    defaultMaxTokens: 32768
+  });
+}
+
+/**
+ * Local or self-hosted servers; no API key needed and no default max_tokens,
+ * so the server's own context limit applies
+ * @param {object} options - { baseUrl, apiKey, model, temperature, timeout, maxTokens }
+ */
+function createCompatibleProvider(options = {}) {
+  const { baseUrl = 'http://127.0.0.1:8080/v1', apiKey = '', model = 'local', maxTokens = null } = options;
+  return createChatProvider('openai-compatible', {
+    ...options,
+    url: chatUrl(baseUrl),
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    model,
+    defaultMaxTokens: maxTokens
+  });
+}
+
+// ============== Mock (deterministic) ==============
+
+// Keywords per domain of the memory tools (see services/memory-mcp-server.js)
+const MOCK_DOMAINS = {
+  orm: /\b(sql|sqlite|postgres|mysql|query|index|migrations?|schema|orm)\b/i,
+  api: /\b(api|endpoint|route|http|rest|graphql)\b/i,
+  frontend: /\b(react|vue|css|html|component|browser|ui)\b/i,
+  backend: /\b(server|express|docker|deploy|ci|kubernetes|nginx|pipeline)\b/i,
+  testing: /\b(test|jest|mocha|assert|coverage)\b/i,
+  memory: /\b(memory|memories|embeddings?|vectors?)\b/i
+};
+
+function firstSentence(text, max = 200) {
+  const sentence = String(text).trim().split(/(?<=[.!?。！？])\s|\n/)[0] || '';
+  return sentence.length > max ? sentence.slice(0, max) : sentence;
+}
+
+function guessDomain(text) {
+  const match = Object.entries(MOCK_DOMAINS).find(([, re]) => re.test(text));
+  return match ? match[0] : 'general';
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Plain text of a memory sent to the mock: the <what> of structured XML, else the text itself
+ */
+function mockMemoryText(text) {
+  const what = String(text).match(/<what>([\s\S]*?)<\/what>/);
+  if (!what) return text;
+  return what[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Recorded llm-server answers from an llm-calls.log (written by lib/llm-client.js),
+ * turned back into the raw completion text the server would have received,
+ * keyed by the user message the server sends for that request
+ * @returns {Map<string, string>}
+ */
+function loadReplay(file) {
+  const replay = new Map();
+  const pending = new Map();  // action -> params of the last unanswered request
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  for (const line of lines) {
+    const req = line.match(/\[REQ\] action=(\w+) params=(.*)$/);
+    if (req) {
+      try { pending.set(req[1], JSON.parse(req[2])); } catch (e) {}
+      continue;
+    }
+    const res = line.match(/\[RES\] action=(\w+) duration=\d+ms response=(.*)$/);
+    if (!res || !pending.has(res[1])) continue;
+    const params = pending.get(res[1]);
+    pending.delete(res[1]);
+    let response;
+    try { response = JSON.parse(res[2]); } catch (e) { continue; }
+
+    if (res[1] === 'structurize' && params.text) {
+      replay.set(params.text, response.structured?.__rejected ? 'REJECT' : response.structured);
+    } else if (res[1] === 'merge' && Array.isArray(params.memories) && typeof response.merged === 'string') {
+      replay.set(mergeUserMessage(params.memories), response.merged);
+    } else if (res[1] === 'compare' && params.text && Array.isArray(params.candidates)) {
+      replay.set(compareUserMessage(params.text, params.candidates), (response.relations || []).map(r =>
+        `<relation id="${r.id}" type="${r.relation}">${r.reason}</relation>`
+      ).join('\n'));
+    } else if (res[1] === 'analyzeSession' && params.transcript) {
+      const memories = response.memories || [];
+      replay.set(`=== Session Transcript ===\n${params.transcript}`, memories.length === 0 ? 'NONE' : memories.map(m =>
+        m.structuredContent.replace(/^<memory[^>]*>/, `<memory type="${m.type}" domain="${m.domain}" confidence="${m.confidence}">\n  <summary>${m.summary}</summary>`)
+      ).join('\n'));
+    }
+  }
+  return replay;
+}
+
+function mergeUserMessage(memories) {
+  return `Merge the following ${memories.length} memories:\n\n${memories.map((m, i) => `[${i + 1}] ${m}`).join('\n')}`;
+}
+
+function compareUserMessage(text, candidates) {
+  const flatten = t => String(t || '').replace(/\s+/g, ' ').trim();
+  return `=== New memory ===\n${flatten(text)}\n\n=== Existing memories ===\n${candidates.map(c => `[#${c.id}] ${flatten(c.text)}`).join('\n')}`;
+}
+
+/**
+ * Mock relation of a new memory to an existing one, from their shared words
+ */
+function mockRelation(next, existing) {
+  const words = t => new Set(t.toLowerCase().match(/[a-z0-9\u4e00-\u9fff]{3,}/g) || []);
+  const a = words(next);
+  const b = words(existing);
+  const shared = [...a].filter(w => b.has(w)).length;
+  if (shared === 0) return 'unrelated';
+  if (shared === a.size && shared === b.size) return 'duplicate';
+  if (/\b(switched|instead of|no longer|replaced|stop using)\b/i.test(next)) return 'supersedes';
+  const negative = t => /\b(never|don't|do not|avoid)\b/i.test(t);
+  return negative(next) !== negative(existing) ? 'contradicts' : 'related';
+}
+
+/**
+ * Rule-based answers per llm-server action (independent of the prompt wording,
+ * so they also hold with project prompt overrides):
+ * - structurize: REJECT for texts under 20 characters, otherwise <what> = first sentence
+ * - merge: <what> = first memory, <do> = the others (the <what> of structured ones)
+ * - analyzeSession: user lines stating a rule (always / never / prefer / don't ...)
+ *   become decisions, lines about a fixed error become bugs; at most 3, else NONE
+ * - compare: no shared words -> unrelated, same words -> duplicate, "switched /
+ *   no longer / instead of" -> supersedes, opposite never/don't -> contradicts, else related
+ * - anything else (e.g. the startup ping): "pong"
+ */
+function mockCompletion(action, system, user) {
+  if (action === 'structurize') {
+    if (user.trim().length < 20) return 'REJECT';
+    const type = (system.match(/<memory type="([^"]+)"/) || [])[1] || 'context';
+    return `<memory type="${type}" domain="${guessDomain(user)}">\n  <what>${escapeXml(firstSentence(user))}</what>\n</memory>`;
+  }
+
+  if (action === 'merge') {
+    const domain = (system.match(/domain="([^"]+)"/) || [])[1] || 'general';
+    const memories = user.split(/^\[\d+\] /m).slice(1).map(m => firstSentence(mockMemoryText(m)));
+    const rest = [...new Set(memories.slice(1))];
+    return [
+      `<memory type="pattern" domain="${domain}">`,
+      `  <what>${escapeXml(memories[0] || '')}</what>`,
+      ...(rest.length > 0 ? [`  <do>${escapeXml(rest.join('; '))}</do>`] : []),
+      '</memory>'
+    ].join('\n');
+  }
+
+  if (action === 'analyzeSession') {
+    const blocks = [];
+    for (const line of user.split('\n')) {
+      const text = line.replace(/^\[User\]\s*/, '');
+      if (text === line || text.length < 15) continue;
+      let type = null;
+      if (/\b(always|never|from now on|don't|do not|prefer)\b/i.test(text)) type = /\bprefer\b/i.test(text) ? 'preference' : 'decision';
+      else if (/\b(error|exception|failed|bug)\b/i.test(text) && /\bfix/i.test(text)) type = 'bug';
+      if (!type) continue;
+      const summary = escapeXml(firstSentence(text));
+      blocks.push(`<memory type="${type}" domain="${guessDomain(text)}" confidence="0.8">\n  <summary>${summary}</summary>\n  <what>${summary}</what>\n</memory>`);
+      if (blocks.length === 3) break;
+    }
+    return blocks.length > 0 ? blocks.join('\n') : 'NONE';
+  }
+
+  if (action === 'compare') {
+    const next = (user.match(/=== New memory ===\n(.*)/) || [])[1] || '';
+    return [...user.matchAll(/^\[#(\d+)\] (.*)$/gm)]
+      .map(([, id, text]) => `<relation id="${id}" type="${mockRelation(next, text)}">mock comparison</relation>`)
+      .join('\n');
+  }
+
+  return 'pong';
+}
+
+/**
+ * @param {object} options - { replay: path of an llm-calls.log to replay, latencyMs }
+ */
+function createMockProvider(options = {}) {
+  const { replay = null, latencyMs = 0 } = options;
+  const recorded = replay ? loadReplay(replay) : new Map();
+
+  return {
+    name: 'mock',
+    model: replay ? `replay:${replay}` : 'rules',
+    endpoint: 'mock://local',
+    async chat(messages, chatOptions = {}) {
+      if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+      const system = messages.find(m => m.role === 'system')?.content || '';
+      const user = messages.find(m => m.role === 'user')?.content || '';
+      return recorded.has(user) ? recorded.get(user) : mockCompletion(chatOptions.action, system, user);
+    }
+  };
+}
+
+// ============== Factory ==============
+
+const PROVIDERS = {
+  azure: createAzureProvider,
+  openai: createOpenAIProvider,
+  'openai-compatible': createCompatibleProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Effective settings of the selected provider
+ * Shared settings (temperature, timeout) live directly under config.llm;
+ * provider settings under config.llm[provider]. Azure also reads config.azure.
+ * @returns {object} { provider, ...provider options }
+ */
+function resolveLlmConfig(config = {}) {
+  const llmConfig = config.llm || {};
+  const name = llmConfig.provider || 'azure';
+  const { provider, ...shared } = llmConfig;
+  for (const key of Object.keys(PROVIDERS)) delete shared[key];
+  const base = name === 'azure' ? config.azure || {} : {};
+  return { ...shared, ...base, ...llmConfig[name], provider: name };
+}
+
+/**
+ * Create the provider selected by config.llm.provider (see resolveLlmConfig)
+ * @param {object} config - The whole config.js
+ */
+function createLlmProvider(config = {}) {
+  const resolved = resolveLlmConfig(config);
+  const factory = PROVIDERS[resolved.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${resolved.provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(resolved);
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveLlmConfig,
+  createLlmProvider,
+  createAzureProvider,
+  createOpenAIProvider,
+  createCompatibleProvider,
+  createMockProvider
+};
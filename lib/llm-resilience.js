@@ -0,0 +1,203 @@
+/**
+ * Retry, concurrency limit and circuit breaker around an LLM provider
+ * (see lib/llm-providers.js), used by services/llm-server.js
+ *
+ * - Retries: rate limits (429), server errors (5xx), timeouts and network
+ *   errors are retried with exponential backoff plus jitter; a Retry-After
+ *   header from the provider takes precedence. No retry is started that
+ *   would end after the caller's deadline.
+ * - Concurrency: at most `maxConcurrent` requests reach the provider at once;
+ *   the rest wait in a FIFO queue of at most `maxQueue` entries.
+ * - Circuit breaker: after `failureThreshold` consecutive calls failing with a
+ *   retryable error the circuit opens and calls fail fast for `cooldownMs`;
+ *   then one trial call is let through (half-open) and its outcome closes or
+ *   reopens it. A request the provider rejects (e.g. 400) does not count.
+ */
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND']);
+
+function isRetryable(err) {
+  if (err.status) return RETRYABLE_STATUS.has(err.status);
+  return RETRYABLE_CODES.has(err.code) || /timeout/i.test(err.message);
+}
+
+/**
+ * Delay requested by the provider (retry-after-ms, or Retry-After in seconds
+ * or as an HTTP date), in ms, or null
+ */
+function retryAfterMs(err, now = Date.now()) {
+  const headers = err.headers || {};
+  if (headers['retry-after-ms'] && !Number.isNaN(Number(headers['retry-after-ms']))) {
+    return Number(headers['retry-after-ms']);
+  }
+  const value = headers['retry-after'];
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {function} call - async (messages, options) => string, e.g. provider.chat
+ * @param {object} options - { maxRetries, baseDelayMs, maxDelayMs, maxConcurrent, maxQueue,
+ *   failureThreshold, cooldownMs, onRetry(attempt, delayMs, err) }
+ * @returns {object} { call(messages, { maxTokens, deadline, action }), status() }
+ */
+function createResilientCaller(call, options = {}) {
+  const {
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    maxConcurrent = 2,
+    maxQueue = 50,
+    failureThreshold = 5,
+    cooldownMs = 60000,
+    onRetry = null
+  } = options;
+
+  let active = 0;
+  const queue = [];  // resolve callbacks of calls waiting for a slot
+  const circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null, lastError: null, trialInFlight: false };
+  const counters = { calls: 0, failures: 0, retries: 0, rejected: 0 };
+
+  // ---- Concurrency ----
+
+  function acquire() {
+    if (active < maxConcurrent) {
+      active++;
+      return Promise.resolve();
+    }
+    if (queue.length >= maxQueue) {
+      return Promise.reject(new Error(`LLM queue full (${maxQueue} waiting)`));
+    }
+    return new Promise(resolve => queue.push(resolve));
+  }
+
+  function release() {
+    const next = queue.shift();
+    if (next) next();
+    else active--;
+  }
+
+  // ---- Circuit breaker ----
+
+  function checkCircuit() {
+    if (circuit.state === 'open') {
+      if (Date.now() - circuit.openedAt < cooldownMs) {
+        throw new Error(`LLM circuit open after ${circuit.consecutiveFailures} failures (last: ${circuit.lastError})`);
+      }
+      circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open') {
+      if (circuit.trialInFlight) throw new Error('LLM circuit half-open, trial request in progress');
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+  }
+
+  function recordFailure(err) {
+    counters.failures++;
+    circuit.lastError = err.message;
+    // The provider answered: a bad request says nothing about its health
+    if (!isRetryable(err)) {
+      if (circuit.state === 'half-open') recordSuccess();
+      return;
+    }
+    circuit.consecutiveFailures++;
+    if (circuit.state === 'half-open' || circuit.consecutiveFailures >= failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  // ---- Call ----
+
+  async function attempt(messages, callOptions) {
+    const { deadline = Infinity } = callOptions;
+    for (let retry = 0; ; retry++) {
+      try {
+        return await call(messages, callOptions);
+      } catch (err) {
+        if (retry >= maxRetries || !isRetryable(err)) throw err;
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** retry) * (0.5 + Math.random() / 2);
+        const delay = Math.min(maxDelayMs, retryAfterMs(err) ?? backoff);
+        if (Date.now() + delay >= deadline) throw err;
+        counters.retries++;
+        if (onRetry) onRetry(retry + 1, delay, err);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    async call(messages, callOptions = {}) {
+      counters.calls++;
+      let trial;
+      try {
+        trial = checkCircuit();
+      } catch (err) {
+        counters.rejected++;
+        throw err;
+      }
+
+      try {
+        await acquire();
+      } catch (err) {
+        if (trial) circuit.trialInFlight = false;
+        counters.rejected++;
+        throw err;
+      }
+
+      if (Date.now() >= (callOptions.deadline ?? Infinity)) {
+        if (trial) circuit.trialInFlight = false;
+        release();
+        counters.rejected++;
+        throw new Error('LLM request expired while queued');
+      }
+
+      try {
+        const result = await attempt(messages, callOptions);
+        recordSuccess();
+        return result;
+      } catch (err) {
+        recordFailure(err);
+        throw err;
+      } finally {
+        if (trial) circuit.trialInFlight = false;
+        release();
+      }
+    },
+
+    status() {
+      const retryAt = circuit.state === 'open' ? new Date(circuit.openedAt + cooldownMs).toISOString() : null;
+      return {
+        circuit: circuit.state,
+        degraded: circuit.state !== 'closed',
+        consecutiveFailures: circuit.consecutiveFailures,
+        lastError: circuit.lastError,
+        retryAt,
+        active,
+        queued: queue.length,
+        ...counters
+      };
+    }
+  };
+}
+
+module.exports = {
+  createResilientCaller,
+  isRetryable,
+  retryAfterMs
+};
@@ -0,0 +1,56 @@
+/**
+ * Least-recently-used cache with hit / miss counters
+ *
+ * A Map keeps insertion order, so re-inserting on every hit keeps the least
+ * recently used entry first and eviction just drops the first key.
+ */
+
+/**
+ * @param {object} options - { max: maximum number of entries (0 disables the cache) }
+ */
+function createLruCache(options = {}) {
+  const { max = 500 } = options;
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        misses++;
+        return undefined;
+      }
+      hits++;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      if (max <= 0) return;
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > max) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      const lookups = hits + misses;
+      return {
+        size: entries.size,
+        max,
+        hits,
+        misses,
+        hitRate: lookups > 0 ? Number((hits / lookups).toFixed(3)) : 0
+      };
+    }
+  };
+}
+
+module.exports = { createLruCache };
@@ -19,6 +19,12 @@ const { execSync } = require('child_process');
 
 const config = require('../config');
 const { ensureDir } = require('./utils');
+const migrations = require('./migrations');
+const decay = require('./decay');
+const scoring = require('./search-scoring');
+const chunking = require('./chunking');
+const { createEmbeddingProvider, resolveEmbeddingConfig } = require('./embedding-providers');
+const embeddingClient = require('./embedding-client');
 
 // Optional jieba for Chinese word segmentation (installed via optionalDependencies)
 let jieba = null;
@@ -69,30 +75,94 @@ const STRUCTURIZE_CONFIG = {
   enabled: true,
 };
 
+// [v6.3] Project scoping
+// Memories carry a project key (see utils.resolveProject); NULL means global.
+//   project        - only memories of the given project
+//   project+global - memories of the given project plus global ones
+//   all            - no project filtering
+const SEARCH_SCOPES = ['project', 'project+global', 'all'];
+
+// [v6.4] Trash bin: soft-deleted memories are purged after this many days
+const TRASH_RETENTION_DAYS = config.trash?.retentionDays ?? 30;
+
+// [v6.4] Semantic deduplication on save: a new memory whose nearest neighbour
+// (same project) reaches the threshold is folded into it per source policy
+const DEDUP_POLICIES = ['skip', 'bump', 'merge'];
+const DEDUP_CONFIG = {
+  threshold: config.dedup?.threshold ?? 0.93,
+  policy: { default: 'bump', ...config.dedup?.policy }
+};
+
+// [v6.4] Duplicate / supersession / contradiction check against the nearest
+// neighbours of a newly saved memory (see detectConflicts)
+const CONFLICT_CONFIG = {
+  enabled: config.conflicts?.enabled ?? true,
+  minSimilarity: config.conflicts?.minSimilarity ?? 0.8,
+  maxCandidates: config.conflicts?.maxCandidates ?? 5
+};
+
+// [v6.4] Typed links between memories (memory_links: from_id -> to_id)
+//   supersedes   - from replaces to (kept in sync with memories.superseded_by)
+//   caused-by    - from (e.g. a bug) was caused by to
+//   fixes        - from fixes to
+//   related      - same topic (either direction)
+//   contradicts  - from conflicts with to (either direction, see memory_conflicts)
+//   derived-from - from was built from to (cluster merges, see memory_lineage)
+const LINK_TYPES = ['supersedes', 'caused-by', 'fixes', 'related', 'contradicts', 'derived-from'];
+const SYMMETRIC_LINK_TYPES = ['related', 'contradicts'];
+
+// [v6.4] Pinned memories, injected at the start of every session regardless of similarity
+//   project - sessions of the memory's project (every session for a global memory)
+//   global  - every session, whatever its project
+const PIN_SCOPES = ['project', 'global'];
+const PINNED_MAX_CHARS = config.pinned?.maxChars ?? 2000;
+
+// [v6.4] Project digest injected by the SessionStart hook (see getSessionDigest)
+const SESSION_DIGEST_CONFIG = {
+  maxTokens: config.sessionStart?.maxTokens ?? 1000,
+  decisions: config.sessionStart?.decisions ?? 5,
+  bugs: config.sessionStart?.bugs ?? 3,
+  bugDays: config.sessionStart?.bugDays ?? 30
+};
+
+// [v6.4] Deferred LLM jobs (see lib/job-worker.js)
+const JOB_KINDS = ['structurize', 'merge', 'analyze', 'compare'];
+const JOB_CONFIG = {
+  maxAttempts: config.jobs?.maxAttempts ?? 5,
+  retryDelayMs: config.jobs?.retryDelayMs ?? 60000,
+  keepDays: config.jobs?.keepDays ?? 7
+};
+
 // ============== Database Management ==============
 
 let db = null;
-let embeddingModel = null;
 
-function getDb() {
-  if (db) return db;
+function openDatabase() {
+  const Database = require('better-sqlite3');
+  const conn = new Database(DB_PATH);
 
+  // Load sqlite-vec extension
   try {
-    const Database = require('better-sqlite3');
-    db = new Database(DB_PATH);
+    const sqliteVec = require('sqlite-vec');
+    sqliteVec.load(conn);
+  } catch (e) {
+    console.error('[memory-db] Warning: sqlite-vec not loaded:', e.message);
+  }
 
-    // Load sqlite-vec extension
-    try {
-      const sqliteVec = require('sqlite-vec');
-      sqliteVec.load(db);
-    } catch (e) {
-      console.error('[memory-db] Warning: sqlite-vec not loaded:', e.message);
-    }
+  return conn;
+}
 
+function getDb() {
+  if (db) return db;
+
+  try {
+    db = openDatabase();
     initTables();
     return db;
   } catch (e) {
     console.error('[memory-db] Failed to initialize database:', e.message);
+    if (db) { try { db.close(); } catch (e2) {} }
+    db = null;
     throw e;
   }
 }
@@ -104,113 +174,42 @@ function closeDb() {
   }
 }
 
-function initTables() {
-  // Main memories table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS memories (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      content TEXT NOT NULL,
-      structured_content TEXT,
-      summary TEXT,
-      type TEXT DEFAULT 'context',
-      tags TEXT,
-      keywords TEXT,
-      domain TEXT DEFAULT 'general',
-      confidence REAL DEFAULT 0.5,
-      evidence_count INTEGER DEFAULT 0,
-      cluster_id INTEGER,
-      source TEXT,
-      trigger TEXT,
-      action TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_accessed_at DATETIME,
-      access_count INTEGER DEFAULT 0,
-      FOREIGN KEY (cluster_id) REFERENCES clusters(id)
-    )
-  `);
+let lastMigrationReport = null;
 
-  // [v4.5] Add structured_content column (if it doesn't exist)
-  try {
-    db.exec(`ALTER TABLE memories ADD COLUMN structured_content TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
+function initTables() {
+  // Versioned schema migrations (see lib/migrations.js)
+  lastMigrationReport = migrations.migrate(db, { tokenize, log: _log });
 
-  // FTS5 full-text search table (standalone, not external content)
-  // Managed manually via ftsInsert/ftsDelete for jieba tokenization support
+  // Vector tables (if sqlite-vec is available, use cosine distance), one per embedding space
+  // Not a migration: depends on the extension being loadable in this process
   try {
-    db.exec(`
-      CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
-        content, structured_content, summary, tags, keywords
-      )
-    `);
+    syncEmbeddingSpaces();
   } catch (e) {
-    // Table exists, keep it
+    // sqlite-vec not available, skip
+    _log(`[EMBED-SPACE-ERR] ${e.message}`);
   }
+}
 
-  // Migrate from external content FTS to standalone FTS if needed
-  try {
-    db.exec("DELETE FROM memories_fts WHERE rowid = -1");
-  } catch (e) {
-    // External content FTS table detected, rebuild as standalone
-    db.exec('DROP TABLE IF EXISTS memories_fts');
-    db.exec(`
-      CREATE VIRTUAL TABLE memories_fts USING fts5(
-        content, structured_content, summary, tags, keywords
-      )
-    `);
-    // Repopulate FTS with tokenized content
-    const rows = db.prepare('SELECT id, content, structured_content, summary, tags, keywords FROM memories').all();
-    const insertFts = db.prepare('INSERT INTO memories_fts(rowid, content, structured_content, summary, tags, keywords) VALUES (?, ?, ?, ?, ?, ?)');
-    for (const r of rows) {
-      try {
-        insertFts.run(r.id, tokenize(r.content || ''), tokenize(r.structured_content || ''), tokenize(r.summary || ''), tokenize(r.tags || ''), tokenize(r.keywords || ''));
-      } catch (e2) {}
-    }
+/**
+ * Run schema migrations, or report what would run
+ * @param {object} options - { dryRun: only report pending migrations }
+ * @returns {object} Migration report (see migrations.migrate)
+ */
+function migrateSchema(options = {}) {
+  const { dryRun = false } = options;
+  if (!dryRun) {
+    getDb();
+    return lastMigrationReport;
   }
+  if (db) return migrations.migrate(db, { dryRun: true });
 
-  // Vector table (if sqlite-vec is available, use cosine distance)
+  // Inspect without applying anything
+  const conn = openDatabase();
   try {
-    db.exec(`
-      CREATE VIRTUAL TABLE IF NOT EXISTS memories_vec USING vec0(
-        embedding float[${config.embedding.dimensions}] distance_metric=cosine
-      )
-    `);
-  } catch (e) {
-    // sqlite-vec not available, skip
+    return migrations.migrate(conn, { dryRun: true });
+  } finally {
+    conn.close();
   }
-
-  // Clusters table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS clusters (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      theme TEXT NOT NULL,
-      centroid_id INTEGER,
-      centroid_vector TEXT,
-      member_count INTEGER DEFAULT 0,
-      avg_confidence REAL DEFAULT 0.5,
-      domain TEXT DEFAULT 'general',
-      status TEXT DEFAULT 'growing',
-      evolved_at DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create indexes
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type);
-    CREATE INDEX IF NOT EXISTS idx_memories_domain ON memories(domain);
-    CREATE INDEX IF NOT EXISTS idx_memories_confidence ON memories(confidence);
-    CREATE INDEX IF NOT EXISTS idx_memories_cluster_id ON memories(cluster_id);
-    CREATE INDEX IF NOT EXISTS idx_clusters_status ON clusters(status);
-  `);
-
-  // Drop old FTS triggers (no longer needed with standalone FTS + manual management)
-  db.exec(`DROP TRIGGER IF EXISTS memories_ai`);
-  db.exec(`DROP TRIGGER IF EXISTS memories_ad`);
-  db.exec(`DROP TRIGGER IF EXISTS memories_au`);
 }
 
 // ============== FTS Management ==============
@@ -236,53 +235,600 @@ function ftsDelete(id) {
 }
 
 // ============== Embedding Model ==============
-// [v6.2] Uses @huggingface/transformers + bge-m3 (ONNX)
-// Replaces bge-base-zh-v1.5, 8192 token context, 1024 dimensions, multilingual support
+// [v6.4] Provider selected by config.embedding.provider (see lib/embedding-providers.js);
+// default is transformers.js + bge-m3 (ONNX), 8192 token context, 1024 dimensions
+
+const embeddingProviders = new Map();  // space key -> provider instance
+
+/**
+ * Provider for an embedding space (default: the active space)
+ */
+function getEmbeddingProvider(space = getActiveSpace()) {
+  const key = space ? space.space_key : configuredSpace().key;
+  if (!embeddingProviders.has(key)) {
+    embeddingProviders.set(key, space
+      ? createEmbeddingProvider(config.embedding, { provider: space.provider, model: space.model, dimensions: space.dimensions, ...JSON.parse(space.options || '{}') })
+      : createEmbeddingProvider(config.embedding));
+  }
+  return embeddingProviders.get(key);
+}
+
+// [v6.4] Processes other than the embedding server (hooks, MCP server, tools)
+// delegate embedding to its already-loaded model instead of loading their own;
+// they fall back to a local model when the server is not running.
+const DELEGATE_CHECK_INTERVAL_MS = 30000;
+const embeddingDelegation = {
+  enabled: config.embedding?.delegate ?? true,
+  available: false,
+  checkedAt: 0
+};
 
-let _pipeline = null;  // transformers.js pipeline instance
+/**
+ * Turn delegation to the embedding server on or off (the server itself turns it off)
+ */
+function setEmbeddingDelegation(enabled) {
+  embeddingDelegation.enabled = enabled;
+  embeddingDelegation.checkedAt = 0;
+}
 
-async function getEmbeddingModel() {
-  if (_pipeline) return _pipeline;
+/**
+ * Embed texts via the embedding server
+ * @returns {object[]|null} [{ embedding, error }] per text, or null if the server
+ *   is unavailable (caller embeds locally)
+ */
+async function embedRemote(texts, space) {
+  if (!embeddingDelegation.enabled || !space) return null;
+  const now = Date.now();
+  if (now - embeddingDelegation.checkedAt > DELEGATE_CHECK_INTERVAL_MS) {
+    embeddingDelegation.available = await embeddingClient.isServerRunning();
+    embeddingDelegation.checkedAt = now;
+  }
+  if (!embeddingDelegation.available) return null;
 
   try {
-    const { pipeline } = await import('@huggingface/transformers');
-    console.error('[memory-db] Loading bge-m3 via transformers.js...');
-    _pipeline = await pipeline('feature-extraction', config.embedding.model, {
-      device: 'cpu'
-    });
-    console.error('[memory-db] Embedding model ready (bge-m3)');
-    return _pipeline;
+    const { embeddings, errors } = await embeddingClient.embedBatch(texts, space.space_key);
+    return texts.map((_, i) => ({ embedding: embeddings[i] || null, error: errors?.[i] || null }));
   } catch (e) {
-    console.error('[memory-db] Failed to load embedding model:', e.message);
+    _log(`[EMBEDDING-REMOTE-ERR] error=${e.message}`);
+    embeddingDelegation.available = false;
     return null;
   }
 }
 
-async function getEmbedding(text) {
+/**
+ * Embed texts with the model of an embedding space (default: the active space,
+ * so query vectors always match the vectors being searched)
+ * @returns {object[]} [{ embedding, error }] per text; embedding is null on failure
+ */
+async function getEmbeddings(texts, space = getActiveSpace()) {
   const startTime = Date.now();
-  _log(`[EMBEDDING-REQ] text=${_str(text)}`);
-  const extractor = await getEmbeddingModel();
-  if (!extractor) {
-    _log(`[EMBEDDING-ERR] model not available`);
+  _log(`[EMBEDDING-REQ] count=${texts.length} text=${_str(texts[0])}`);
+  const dimensions = space ? space.dimensions : config.embedding.dimensions;
+
+  let results = await embedRemote(texts, space);
+  const remote = !!results;
+  if (!results) {
+    try {
+      const provider = getEmbeddingProvider(space);
+      const vectors = await provider.embedBatch(texts);
+      results = vectors.map(embedding => ({ embedding, error: null }));
+    } catch (e) {
+      // One bad input fails the whole batch: retry one by one to isolate it
+      const provider = getEmbeddingProvider(space);
+      results = [];
+      for (const text of texts) {
+        try {
+          results.push({ embedding: await provider.embed(text), error: null });
+        } catch (err) {
+          results.push({ embedding: null, error: err.message });
+        }
+      }
+    }
+  }
+
+  for (const r of results) {
+    if (r.embedding && r.embedding.length !== dimensions) {
+      r.error = `${space ? space.provider : config.embedding.provider} returned ${r.embedding.length} dimensions, expected ${dimensions}`;
+      r.embedding = null;
+    }
+  }
+
+  const duration = Date.now() - startTime;
+  const failed = results.filter(r => !r.embedding);
+  if (failed.length > 0) {
+    _log(`[EMBEDDING-ERR] duration=${duration}ms remote=${remote} failed=${failed.length}/${texts.length} error=${failed[0].error}`);
+  } else {
+    _log(`[EMBEDDING-RES] duration=${duration}ms remote=${remote} count=${texts.length} dim=${dimensions}`);
+  }
+  return results;
+}
+
+/**
+ * Embed one text (see getEmbeddings)
+ * @param {object} options - { throwOnError: rethrow instead of returning null }
+ */
+async function getEmbedding(text, space = getActiveSpace(), options = {}) {
+  const [result] = await getEmbeddings([text], space);
+  if (result.embedding) return result.embedding;
+  if (options.throwOnError) throw new Error(result.error);
+  console.error('[memory-db] Failed to get embedding:', result.error);
+  return null;
+}
+
+// Query embedding cache, set by the embedding server (see setQueryEmbeddingCache)
+let queryEmbeddingCache = null;
+
+/**
+ * Cache query vectors (search only, not memory content) in an LRU cache from
+ * lib/lru-cache.js; null turns caching off
+ */
+function setQueryEmbeddingCache(cache) {
+  queryEmbeddingCache = cache;
+}
+
+/**
+ * Embedding of a search query, from the cache when the same query (up to
+ * whitespace) was embedded before in the active space
+ */
+async function getQueryEmbedding(query) {
+  const space = getActiveSpace();
+  if (!queryEmbeddingCache || !space) return getEmbedding(query, space);
+  const key = `${space.space_key}\n${query.trim().replace(/\s+/g, ' ')}`;
+  const cached = queryEmbeddingCache.get(key);
+  if (cached) return cached;
+  const embedding = await getEmbedding(query, space);
+  if (embedding) queryEmbeddingCache.set(key, embedding);
+  return embedding;
+}
+
+/**
+ * Changes whenever memory.db is written, by this connection or another process
+ * (lets callers drop cached search results)
+ */
+function getDataVersion() {
+  const database = getDb();
+  const dataVersion = database.pragma('data_version', { simple: true });
+  const ownChanges = database.prepare('SELECT total_changes() as count').get().count;
+  return `${dataVersion}:${ownChanges}`;
+}
+
+/**
+ * Embedding space by key, among the active space and the one being built
+ * (lets the embedding server embed for a space a client asked for)
+ */
+function findSpace(spaceKey) {
+  getDb();
+  const spaces = [getActiveSpace(), getTargetSpace()].filter(Boolean);
+  if (!spaceKey) return spaces[0] || null;
+  const space = spaces.find(s => s.space_key === spaceKey);
+  if (!space) throw new Error(`Unknown embedding space: ${spaceKey}`);
+  return space;
+}
+
+async function warmupEmbedding() {
+  for (const space of [getActiveSpace(), getTargetSpace()].filter(Boolean)) {
+    try {
+      await getEmbeddingProvider(space).warmup();
+    } catch (e) {
+      console.error(`[memory-db] Failed to load embedding model ${space.model}:`, e.message);
+    }
+  }
+}
+
+// ============== [v6.4] Embedding Spaces ==============
+// Every vector table belongs to an embedding space (provider + model + dimensions),
+// recorded in embedding_spaces; memory_embeddings records which memories have a
+// vector in which space. Exactly one space is 'active' (used for search). When
+// config.embedding changes, getDb() registers the new configuration as a
+// 'building' space with its own vector table; reembedStep() fills it in batches
+// while search keeps using the active space, then swaps them.
+// rebuildAllEmbeddings() uses the same mechanism with a shadow space of the
+// active model, optionally limited to a subset of memories (rebuild_filter).
+// Progress is the set of memory_embeddings rows, so an interrupted build
+// resumes where it stopped; memories that keep failing are recorded in
+// embedding_failures and skipped.
+
+// Attempts before a memory is skipped by a re-embed / rebuild
+const MAX_EMBED_ATTEMPTS = 3;
+
+/**
+ * Space identity of the current config.embedding
+ */
+function configuredSpace() {
+  const resolved = resolveEmbeddingConfig(config.embedding);
+  const provider = createEmbeddingProvider(config.embedding);
+  const options = {};
+  for (const key of ['pooling', 'normalize', 'baseUrl']) {
+    if (resolved[key] !== undefined) options[key] = resolved[key];
+  }
+  return {
+    key: `${provider.name}:${provider.model}:${provider.dimensions}`,
+    provider: provider.name,
+    model: provider.model,
+    dimensions: provider.dimensions,
+    options
+  };
+}
+
+function getActiveSpace() {
+  if (!db) return null;
+  try {
+    return db.prepare("SELECT * FROM embedding_spaces WHERE status = 'active' ORDER BY id DESC LIMIT 1").get() || null;
+  } catch (e) {
     return null;
   }
+}
 
+function getTargetSpace() {
+  if (!db) return null;
   try {
-    const output = await extractor(text, { pooling: 'cls', normalize: true });
-    const vector = Array.from(output.data);
-    const duration = Date.now() - startTime;
-    _log(`[EMBEDDING-RES] duration=${duration}ms dim=${vector.length} norm=${Math.sqrt(vector.reduce((s, v) => s + v * v, 0)).toFixed(4)}`);
-    return vector;
+    return db.prepare("SELECT * FROM embedding_spaces WHERE status = 'building' ORDER BY id DESC LIMIT 1").get() || null;
   } catch (e) {
-    const duration = Date.now() - startTime;
-    _log(`[EMBEDDING-ERR] duration=${duration}ms error=${e.message}`);
-    console.error('[memory-db] Failed to get embedding:', e.message);
     return null;
   }
 }
 
-async function warmupEmbedding() {
-  await getEmbeddingModel();
+/**
+ * Vector table of a space plus its chunk table (rowid = memory_chunks.id)
+ */
+function createVecTable(name, dimensions) {
+  for (const table of [name, `${name}_chunkvec`]) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${table} USING vec0(
+        embedding float[${dimensions}] distance_metric=cosine
+      )
+    `);
+  }
+}
+
+function registerSpace(space, vecTable, status, rebuildFilter = null) {
+  const id = Number(db.prepare(`
+    INSERT INTO embedding_spaces (space_key, provider, model, dimensions, options, vec_table, status, rebuild_filter, activated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'active' THEN CURRENT_TIMESTAMP END)
+  `).run(
+    space.key, space.provider, space.model, space.dimensions, JSON.stringify(space.options || {}),
+    vecTable || '', status, rebuildFilter ? JSON.stringify(rebuildFilter) : null, status
+  ).lastInsertRowid);
+  if (!vecTable) {
+    vecTable = `memories_vec_${id}`;
+    db.prepare('UPDATE embedding_spaces SET vec_table = ? WHERE id = ?').run(vecTable, id);
+  }
+  createVecTable(vecTable, space.dimensions);
+  return id;
+}
+
+/**
+ * Compare the stored embedding spaces with config.embedding (called from initTables)
+ * - first run: the existing memories_vec becomes the active space
+ * - config changed: register the new configuration as a 'building' space
+ */
+function syncEmbeddingSpaces() {
+  const wanted = configuredSpace();
+
+  db.transaction(() => {
+    let active = getActiveSpace();
+    if (!active) {
+      // Vectors from before embedding_spaces existed: assume the configured model
+      // unless the stored dimension says otherwise
+      const row = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'memories_vec'").get();
+      const match = row && /float\[(\d+)\]/.exec(row.sql || '');
+      const legacyDimensions = match ? Number(match[1]) : wanted.dimensions;
+      const legacy = legacyDimensions === wanted.dimensions
+        ? wanted
+        : { key: `unknown:unknown:${legacyDimensions}`, provider: 'unknown', model: 'unknown', dimensions: legacyDimensions, options: {} };
+      const id = registerSpace(legacy, 'memories_vec', 'active');
+      db.prepare('INSERT OR IGNORE INTO memory_embeddings (memory_id, space_id) SELECT rowid, ? FROM memories_vec').run(id);
+      active = getActiveSpace();
+    }
+
+    const target = getTargetSpace();
+    // Chunk tables of spaces created before memory_chunks existed
+    for (const space of [active, target].filter(Boolean)) createVecTable(space.vec_table, space.dimensions);
+
+    // Re-embed or rebuild for the configured model already in progress
+    if (target && target.space_key === wanted.key) return;
+    // Config changed again while a re-embed was pending: drop the half-built space
+    if (target) retireSpace(target);
+    if (active.space_key === wanted.key) return;
+
+    registerSpace(wanted, null, 'building');
+    const pending = db.prepare('SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NULL').get().count;
+    _log(`[EMBED-SPACE] model changed: active=${active.space_key} configured=${wanted.key}, ${pending} memories to re-embed`);
+    console.error(`[memory-db] Embedding model changed (${active.space_key} -> ${wanted.key}); re-embedding ${pending} memories in the background`);
+  }).immediate();
+}
+
+function retireSpace(space) {
+  try {
+    db.exec(`DROP TABLE IF EXISTS ${space.vec_table}`);
+    db.exec(`DROP TABLE IF EXISTS ${space.vec_table}_chunkvec`);
+  } catch (e) {}
+  db.prepare('DELETE FROM memory_embeddings WHERE space_id = ?').run(space.id);
+  db.prepare('DELETE FROM memory_chunks WHERE space_id = ?').run(space.id);
+  db.prepare('DELETE FROM embedding_failures WHERE space_id = ?').run(space.id);
+  db.prepare("UPDATE embedding_spaces SET status = 'retired' WHERE id = ?").run(space.id);
+  embeddingProviders.delete(space.space_key);
+}
+
+/**
+ * Store a memory's vector and chunk vectors in a space (replacing any previous ones)
+ * @param {Array<{index, start, end, text, embedding}>} chunks - See embedText()
+ */
+function storeVector(memoryId, embedding, space = getActiveSpace(), chunks = []) {
+  if (!space || !embedding) return false;
+  const database = getDb();
+  try {
+    database.transaction(() => {
+      // sqlite-vec requires BigInt as rowid
+      database.prepare(`DELETE FROM ${space.vec_table} WHERE rowid = ?`).run(BigInt(memoryId));
+      database.prepare(`INSERT INTO ${space.vec_table} (rowid, embedding) VALUES (?, ?)`).run(BigInt(memoryId), JSON.stringify(embedding));
+      deleteChunks(memoryId, space);
+      const insertChunk = database.prepare(`
+        INSERT INTO memory_chunks (memory_id, space_id, chunk_index, start_offset, end_offset, text) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      for (const chunk of chunks) {
+        const chunkId = insertChunk.run(memoryId, space.id, chunk.index, chunk.start, chunk.end, chunk.text).lastInsertRowid;
+        database.prepare(`INSERT INTO ${space.vec_table}_chunkvec (rowid, embedding) VALUES (?, ?)`).run(BigInt(chunkId), JSON.stringify(chunk.embedding));
+      }
+      database.prepare('INSERT OR REPLACE INTO memory_embeddings (memory_id, space_id, embedded_at) VALUES (?, ?, CURRENT_TIMESTAMP)').run(memoryId, space.id);
+    })();
+    return true;
+  } catch (e) {
+    console.error('[memory-db] Vector insert failed:', e.message);
+    return false;
+  }
+}
+
+function deleteChunks(memoryId, space) {
+  const database = getDb();
+  const ids = database.prepare('SELECT id FROM memory_chunks WHERE memory_id = ? AND space_id = ?').all(memoryId, space.id);
+  for (const { id } of ids) {
+    database.prepare(`DELETE FROM ${space.vec_table}_chunkvec WHERE rowid = ?`).run(BigInt(id));
+  }
+  database.prepare('DELETE FROM memory_chunks WHERE memory_id = ? AND space_id = ?').run(memoryId, space.id);
+}
+
+/**
+ * Remove a memory's vectors from every live space
+ */
+function removeVectors(memoryId) {
+  const database = getDb();
+  const spaces = database.prepare("SELECT * FROM embedding_spaces WHERE status IN ('active', 'building')").all();
+  for (const space of spaces) {
+    try {
+      database.prepare(`DELETE FROM ${space.vec_table} WHERE rowid = ?`).run(BigInt(memoryId));
+      deleteChunks(memoryId, space);
+    } catch (e) { /* ignore */ }
+  }
+  database.prepare('DELETE FROM memory_embeddings WHERE memory_id = ?').run(memoryId);
+}
+
+function hasVector(memoryId, space = getActiveSpace()) {
+  if (!space) return false;
+  try {
+    return !!getDb().prepare(`SELECT rowid FROM ${space.vec_table} WHERE rowid = ?`).get(BigInt(memoryId));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Read a stored vector (vec_to_json decodes the sqlite-vec binary format)
+ */
+function readVector(memoryId, space = getActiveSpace()) {
+  if (!space) return null;
+  try {
+    const row = getDb().prepare(`SELECT vec_to_json(embedding) as json_vec FROM ${space.vec_table} WHERE rowid = ?`).get(BigInt(memoryId));
+    return row && row.json_vec ? JSON.parse(row.json_vec) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * [v6.4] Embed a memory's text and, if it is long, its chunks (lib/chunking.js)
+ * in one batch. Chunks that fail to embed are left out.
+ * @param {object} options - { throwOnError: rethrow instead of returning null }
+ * @returns {object|null} { embedding, chunks: [{ index, start, end, text, embedding }] }
+ */
+async function embedText(text, space = getActiveSpace(), options = {}) {
+  const chunks = chunking.chunkText(text);
+  const [whole, ...parts] = await getEmbeddings([text, ...chunks.map(c => c.text)], space);
+  if (!whole.embedding) {
+    if (options.throwOnError) throw new Error(whole.error);
+    console.error('[memory-db] Failed to get embedding:', whole.error);
+    return null;
+  }
+  const embedded = chunks
+    .map((chunk, i) => ({ ...chunk, embedding: parts[i].embedding }))
+    .filter(chunk => chunk.embedding);
+  if (embedded.length < chunks.length) {
+    _log(`[EMBEDDING-ERR] ${chunks.length - embedded.length}/${chunks.length} chunks failed: ${parts.find(p => !p.embedding).error}`);
+  }
+  return { embedding: whole.embedding, chunks: embedded };
+}
+
+/**
+ * Embed text for every live space (active first, then any space being built)
+ * @returns {Array<{space, embedding, chunks}>} Successful embeddings
+ */
+async function embedForSpaces(text) {
+  const results = [];
+  for (const space of [getActiveSpace(), getTargetSpace()].filter(Boolean)) {
+    const result = await embedText(text, space);
+    if (result) results.push({ space, ...result });
+  }
+  return results;
+}
+
+/**
+ * Embed and store a memory in every live space
+ * @returns {number[]|null} Embedding in the active space (for clustering)
+ */
+async function embedMemory(memoryId, text) {
+  return storeEmbeddings(memoryId, await embedForSpaces(text));
+}
+
+/**
+ * Store the result of embedForSpaces() for a memory
+ * @returns {number[]|null} Embedding in the active space
+ */
+function storeEmbeddings(memoryId, embeddings) {
+  for (const { space, embedding, chunks } of embeddings) storeVector(memoryId, embedding, space, chunks);
+  return activeEmbedding(embeddings);
+}
+
+function activeEmbedding(embeddings) {
+  const active = embeddings.find(e => e.space.status === 'active');
+  return active ? active.embedding : null;
+}
+
+/**
+ * SQL selecting the memories still to be embedded into a building space:
+ * live memories matching its rebuild_filter, without a vector there yet,
+ * and not given up on after MAX_EMBED_ATTEMPTS failures
+ */
+function pendingEmbeddings(space) {
+  const filter = JSON.parse(space.rebuild_filter || '{}');
+  const conditions = [
+    'm.deleted_at IS NULL',
+    'NOT EXISTS (SELECT 1 FROM memory_embeddings e WHERE e.memory_id = m.id AND e.space_id = ?)',
+    'NOT EXISTS (SELECT 1 FROM embedding_failures f WHERE f.memory_id = m.id AND f.space_id = ? AND f.attempts >= ?)'
+  ];
+  const params = [space.id, space.id, MAX_EMBED_ATTEMPTS];
+  if (filter.domain) { conditions.push('m.domain = ?'); params.push(filter.domain); }
+  if (filter.project !== undefined) { conditions.push('m.project IS ?'); params.push(filter.project); }
+  if (filter.fromId != null) { conditions.push('m.id >= ?'); params.push(filter.fromId); }
+  if (filter.toId != null) { conditions.push('m.id <= ?'); params.push(filter.toId); }
+  return { sql: `FROM memories m WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * Re-embed one batch of memories into the space being built; when nothing is
+ * pending any more, make it the active space and drop the old one
+ * @param {object} options - { batchSize }
+ * @returns {object} { status: 'idle'|'running'|'activated'|'error', space, embedded, failed, remaining }
+ */
+async function reembedStep(options = {}) {
+  const database = getDb();
+  const { batchSize = 20 } = options;
+  const target = getTargetSpace();
+  if (!target) return { status: 'idle' };
+
+  const pending = pendingEmbeddings(target);
+  const rows = database.prepare(`
+    SELECT m.id, m.content, m.structured_content, m.domain ${pending.sql} ORDER BY m.id LIMIT ?
+  `).all(...pending.params, batchSize);
+
+  let embedded = 0;
+  const failures = [];
+  for (const row of rows) {
+    try {
+      const { embedding, chunks } = await embedText(buildEmbeddingText(row.structured_content || row.content, row.domain), target, { throwOnError: true });
+      if (storeVector(row.id, embedding, target, chunks)) embedded++;
+      else failures.push({ id: row.id, error: 'vector insert failed' });
+    } catch (e) {
+      failures.push({ id: row.id, error: e.message });
+    }
+  }
+
+  if (failures.length > 0) {
+    // Nothing in the batch worked: only blame the memories if the model itself is up
+    const modelUp = embedded > 0 || !!(await getEmbedding('ping', target));
+    if (!modelUp) {
+      _log(`[EMBED-SPACE] embedding model unavailable for ${target.space_key}, will retry`);
+      const remaining = database.prepare(`SELECT COUNT(*) as count ${pending.sql}`).get(...pending.params).count;
+      return { status: 'error', space: target.space_key, embedded, failed: [], remaining };
+    }
+    const recordFailure = database.prepare(`
+      INSERT INTO embedding_failures (space_id, memory_id, error, attempts, last_attempt_at)
+      VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP)
+      ON CONFLICT (space_id, memory_id) DO UPDATE SET
+        error = excluded.error, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP
+    `);
+    for (const f of failures) recordFailure.run(target.id, f.id, f.error);
+    _log(`[EMBED-SPACE] ${failures.length} memories failed: ${failures.map(f => `#${f.id}(${f.error})`).join(', ')}`);
+  }
+
+  const remaining = database.prepare(`SELECT COUNT(*) as count ${pending.sql}`).get(...pending.params).count;
+  if (remaining > 0) {
+    return { status: 'running', space: target.space_key, embedded, failed: failures, remaining };
+  }
+
+  activateSpace(target);
+  return { status: 'activated', space: target.space_key, embedded, failed: failures, remaining: 0 };
+}
+
+/**
+ * Swap a fully built space in as the active one
+ */
+function activateSpace(target) {
+  const database = getDb();
+  database.transaction(() => {
+    const previous = getActiveSpace();
+
+    // Rebuild of the same model: keep the old vectors of memories outside the
+    // rebuilt subset (and of those that failed or are in the trash)
+    if (previous && previous.space_key === target.space_key) {
+      database.prepare(`
+        INSERT INTO ${target.vec_table} (rowid, embedding)
+        SELECT rowid, embedding FROM ${previous.vec_table}
+        WHERE rowid NOT IN (SELECT memory_id FROM memory_embeddings WHERE space_id = ?)
+      `).run(target.id);
+      const chunks = database.prepare(`
+        SELECT c.*, v.embedding FROM memory_chunks c JOIN ${previous.vec_table}_chunkvec v ON v.rowid = c.id
+        WHERE c.space_id = ? AND c.memory_id NOT IN (SELECT memory_id FROM memory_embeddings WHERE space_id = ?)
+      `).all(previous.id, target.id);
+      for (const c of chunks) {
+        const chunkId = database.prepare(`
+          INSERT INTO memory_chunks (memory_id, space_id, chunk_index, start_offset, end_offset, text) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(c.memory_id, target.id, c.chunk_index, c.start_offset, c.end_offset, c.text).lastInsertRowid;
+        database.prepare(`INSERT INTO ${target.vec_table}_chunkvec (rowid, embedding) VALUES (?, ?)`).run(BigInt(chunkId), c.embedding);
+      }
+      database.prepare(`
+        INSERT OR IGNORE INTO memory_embeddings (memory_id, space_id, embedded_at)
+        SELECT memory_id, ?, embedded_at FROM memory_embeddings WHERE space_id = ?
+      `).run(target.id, previous.id);
+    }
+
+    database.prepare("UPDATE embedding_spaces SET status = 'active', activated_at = CURRENT_TIMESTAMP WHERE id = ?").run(target.id);
+    if (previous) retireSpace(previous);
+
+    // Cluster centroids are stored vectors of the old model
+    const clusters = database.prepare("SELECT id, centroid_id FROM clusters WHERE status IN ('growing', 'mature') AND centroid_id IS NOT NULL").all();
+    for (const cluster of clusters) {
+      const vector = readVector(cluster.centroid_id, target);
+      database.prepare('UPDATE clusters SET centroid_vector = ? WHERE id = ?').run(vector ? JSON.stringify(vector) : null, cluster.id);
+    }
+  }).immediate();
+  _log(`[EMBED-SPACE] activated ${target.space_key}`);
+}
+
+/**
+ * Embedding spaces and re-embed / rebuild progress (for stats)
+ */
+function getEmbeddingStatus() {
+  const database = getDb();
+  const describe = space => space && {
+    key: space.space_key,
+    model: space.model,
+    dimensions: space.dimensions,
+    vectors: database.prepare('SELECT COUNT(*) as count FROM memory_embeddings WHERE space_id = ?').get(space.id).count
+  };
+  const target = getTargetSpace();
+  let pending = 0;
+  let failed = [];
+  if (target) {
+    const p = pendingEmbeddings(target);
+    pending = database.prepare(`SELECT COUNT(*) as count ${p.sql}`).get(...p.params).count;
+    failed = database.prepare('SELECT memory_id as id, error, attempts FROM embedding_failures WHERE space_id = ? ORDER BY memory_id').all(target.id);
+  }
+  return {
+    active: describe(getActiveSpace()),
+    target: target ? { ...describe(target), filter: JSON.parse(target.rebuild_filter || 'null') } : null,
+    pending,
+    failed
+  };
 }
 
 /**
@@ -304,10 +850,13 @@ function buildEmbeddingText(content, domain) {
  * Use LLM service to structurize raw memory content
  * @param {string} rawContent - Raw content
  * @param {string} type - Memory type
- * @returns {object|null} Structured result
+ * @param {object} options - { domain, project: project key whose prompt overrides apply }
+ * @returns {object|null} { structuredContent (XML), promptVersion }, { __rejected, reason }
+ *   when the LLM considers it not worth saving, or null if the LLM is unavailable
  */
-async function structurizeWithLLM(rawContent, type) {
+async function structurizeWithLLM(rawContent, type, options = {}) {
   if (!STRUCTURIZE_CONFIG.enabled) return null;
+  const { domain = 'general', project = null } = options;
 
   const startTime = Date.now();
   _log(`[STRUCTURIZE-REQ] type=${type} content=${_str(rawContent)}`);
@@ -316,15 +865,25 @@ async function structurizeWithLLM(rawContent, type) {
     // Use llm-client to call llm-server (avoid claude --print triggering hooks causing recursion)
     const llmClient = require('./llm-client');
     if (await llmClient.isAvailable()) {
-      const structured = await llmClient.structurize(rawContent, type);
+      const result = await llmClient.structurize(rawContent, type, { project });
       const duration = Date.now() - startTime;
-      _log(`[STRUCTURIZE-RES] duration=${duration}ms result=${_str(structured)}`);
+      _log(`[STRUCTURIZE-RES] duration=${duration}ms result=${_str(result)}`);
+      if (result.error) return null;
+      const { structured, promptVersion } = result;
       // LLM determined not worth saving
-      if (structured && structured.reject) {
+      if (structured.__rejected || structured.reject) {
         _log(`[STRUCTURIZE-REJECT] reason=${structured.reason || 'low value'}`);
         return { __rejected: true, reason: structured.reason };
       }
-      return structured;
+      if (typeof structured === 'string' && structured.startsWith('<memory')) {
+        // LLM returned XML directly
+        return { structuredContent: structured, promptVersion };
+      }
+      if (typeof structured === 'object') {
+        // Legacy format object -> format as XML
+        return { structuredContent: formatStructuredContent(structured, type, domain), promptVersion };
+      }
+      return null;
     }
     _log(`[STRUCTURIZE-ERR] llm-server not available`);
     return null;
@@ -402,11 +961,190 @@ function escapeXml(s) {
   return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
-// ============== Core Functions ==============
+// ============== [v6.3] Project Scoping ==============
+
+/**
+ * Resolve the effective search scope.
+ * Defaults to 'project+global' when a project is given, 'all' otherwise.
+ */
+function resolveScope(options = {}) {
+  const { project = null, scope = null } = options;
+  if (scope && SEARCH_SCOPES.includes(scope)) return scope;
+  return project ? 'project+global' : 'all';
+}
+
+/**
+ * Build a SQL condition restricting rows to the requested project scope
+ * @param {object} options - { project, scope }
+ * @param {string} column - (Qualified) project column name
+ * @returns {{sql: string, params: array}} Condition ('1' when unrestricted) and its parameters
+ */
+function projectCondition(options = {}, column = 'project') {
+  const scope = resolveScope(options);
+  const project = options.project || null;
+  if (scope === 'all') return { sql: '1', params: [] };
+  if (scope === 'project') return { sql: `${column} IS ?`, params: [project] };
+  return { sql: `(${column} IS NULL OR ${column} = ?)`, params: [project] };
+}
+
+// ============== [v6.4] Search Filters ==============
+
+// Filter options accepted by search() / quickSearch(); anything else is ignored
+const SEARCH_FILTERS = ['type', 'domain', 'tags', 'project', 'scope', 'since', 'until', 'source', 'clusterId', 'minConfidence', 'includeSuperseded'];
+
+/**
+ * Build the SQL WHERE condition for search filters (always excludes trashed memories)
+ * @param {object} options
+ *   - type, domain, source: value or array of values
+ *   - tags: tag or array of tags, matches memories having any of them
+ *   - project, scope: see SEARCH_SCOPES
+ *   - since, until: created_at bounds ('YYYY-MM-DD' or datetime; until is inclusive of that day)
+ *   - clusterId: cluster membership
+ *   - minConfidence: minimum confidence
+ *   - includeSuperseded: also match memories superseded by a newer one (excluded by default)
+ * @param {string} alias - Table alias of memories ('' for none)
+ * @returns {{sql: string, params: array}}
+ */
+function buildFilterClause(options = {}, alias = 'm') {
+  const col = name => (alias ? `${alias}.${name}` : name);
+  const conditions = [`${col('deleted_at')} IS NULL`];
+  const params = [];
+  const list = v => (Array.isArray(v) ? v : [v]).filter(x => x != null && x !== '');
+
+  for (const key of ['type', 'domain', 'source']) {
+    const values = list(options[key] ?? []);
+    if (values.length > 0) {
+      conditions.push(`${col(key)} IN (${values.map(() => '?').join(',')})`);
+      params.push(...values);
+    }
+  }
+
+  const tags = list(options.tags ?? []).map(t => String(t).trim()).filter(Boolean);
+  if (tags.length > 0) {
+    // tags are stored comma-separated
+    const tagColumn = `(',' || REPLACE(IFNULL(${col('tags')}, ''), ' ', '') || ',')`;
+    conditions.push(`(${tags.map(() => `${tagColumn} LIKE ?`).join(' OR ')})`);
+    params.push(...tags.map(t => `%,${t.replace(/\s+/g, '')},%`));
+  }
+
+  if (options.minConfidence) {
+    conditions.push(`${col('confidence')} >= ?`);
+    params.push(options.minConfidence);
+  }
+  if (options.since) {
+    conditions.push(`${col('created_at')} >= datetime(?)`);
+    params.push(options.since);
+  }
+  if (options.until) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(options.until);
+    conditions.push(dateOnly ? `${col('created_at')} < datetime(?, '+1 day')` : `${col('created_at')} <= datetime(?)`);
+    params.push(options.until);
+  }
+  if (options.clusterId != null) {
+    conditions.push(`${col('cluster_id')} = ?`);
+    params.push(options.clusterId);
+  }
+  if (!options.includeSuperseded) {
+    conditions.push(`${col('superseded_by')} IS NULL`);
+  }
+
+  const scopeFilter = projectCondition(options, col('project'));
+  conditions.push(scopeFilter.sql);
+  params.push(...scopeFilter.params);
+
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Pick the filter options out of a search options object
+ */
+function pickFilters(options = {}) {
+  const filters = {};
+  for (const key of SEARCH_FILTERS) {
+    if (options[key] !== undefined && options[key] !== null) filters[key] = options[key];
+  }
+  return filters;
+}
+
+/**
+ * Nearest neighbours in one vec table, restricted to rowids from `rowidSql`
+ * Uses the vec0 KNN index with a rowid IN constraint so `limit` is honored.
+ */
+function knnSearch(table, vector, limit, rowidSql, params) {
+  const database = getDb();
+  try {
+    return database.prepare(`
+      SELECT rowid, distance
+      FROM ${table}
+      WHERE embedding MATCH ? AND k = ?
+        AND rowid IN (${rowidSql})
+      ORDER BY distance
+    `).all(vector, limit, ...params);
+  } catch (e) {
+    // Older sqlite-vec without rowid IN constraints on KNN: brute-force distance scan
+    return database.prepare(`
+      SELECT rowid, vec_distance_cosine(embedding, ?) as distance
+      FROM ${table}
+      WHERE rowid IN (${rowidSql})
+      ORDER BY distance
+      LIMIT ?
+    `).all(vector, ...params, limit);
+  }
+}
+
+/**
+ * Nearest neighbours among memories matching the filters
+ * [v6.4] Long memories also have chunk vectors: chunk hits are folded into
+ * their memory's similarity (chunking.aggregateSimilarity) and the best
+ * matching chunk is returned with it.
+ * @returns {Array<{rowid, distance, chunk}>} chunk: { index, text, similarity } or null
+ */
+function vectorSearch(embedding, limit, options = {}) {
+  const space = getActiveSpace();
+  if (!space) return [];
+  const filter = buildFilterClause(options, '');
+  const vector = JSON.stringify(embedding);
+
+  const whole = knnSearch(space.vec_table, vector, limit, `SELECT id FROM memories WHERE ${filter.sql}`, filter.params);
+  const chunkHits = knnSearch(
+    `${space.vec_table}_chunkvec`, vector, limit * 3,
+    `SELECT id FROM memory_chunks WHERE space_id = ? AND memory_id IN (SELECT id FROM memories WHERE ${filter.sql})`,
+    [space.id, ...filter.params]
+  );
+
+  const hits = new Map();
+  for (const r of whole) {
+    hits.set(Number(r.rowid), { whole: 1 - r.distance, chunks: [] });
+  }
+  if (chunkHits.length > 0) {
+    const getChunk = getDb().prepare('SELECT memory_id, chunk_index, text FROM memory_chunks WHERE id = ?');
+    for (const r of chunkHits) {
+      const chunk = getChunk.get(r.rowid);
+      if (!chunk) continue;
+      if (!hits.has(chunk.memory_id)) hits.set(chunk.memory_id, { whole: null, chunks: [] });
+      hits.get(chunk.memory_id).chunks.push({ index: chunk.chunk_index, text: chunk.text, similarity: 1 - r.distance });
+    }
+  }
+
+  return Array.from(hits.entries())
+    .map(([rowid, hit]) => {
+      const similarity = chunking.aggregateSimilarity(hit.whole, hit.chunks.map(c => c.similarity));
+      const best = hit.chunks.sort((a, b) => b.similarity - a.similarity)[0] || null;
+      return { rowid, distance: 1 - similarity, chunk: best };
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+// ============== Core Functions ==============
 
 /**
  * Save a memory (with automatic incremental clustering)
  * [v4.5] Added LLM structuring support
+ * [v6.4] A semantic duplicate is folded into the existing memory (see applyDedupPolicy):
+ *   returns { id: existing id, action: 'skipped'|'updated'|'merged', similarity, policy };
+ *   besides a vector match (config.dedup.threshold), this is the case when the LLM compare
+ *   check (see compareWithNeighbours) finds one, then with duplicateOf and reason
  */
 async function save(content, options = {}) {
   const database = getDb();
@@ -419,9 +1157,12 @@ async function save(content, options = {}) {
     source = 'user',
     trigger = null,
     action = null,
+    project = null,           // [v6.3] Project key, null for a global memory
     skipClustering = false,
     skipStructurize = false,  // [v4.5] Whether to skip structuring
-    structuredContent: preStructuredContent = null  // [v6.1] Pre-structured XML (skip LLM)
+    skipConflictCheck = false,  // [v6.4] Whether to skip the duplicate / contradiction check
+    structuredContent: preStructuredContent = null,  // [v6.1] Pre-structured XML (skip LLM)
+    promptVersion: preStructuredVersion = null        // [v6.4] Prompt template that produced it
   } = options;
 
   // Generate summary
@@ -430,101 +1171,100 @@ async function save(content, options = {}) {
   // Extract keywords
   const keywords = extractKeywords(content).join(',');
 
-  // Deduplication check
-  const existing = database.prepare(`
-    SELECT id, content, confidence FROM memories
-    WHERE type = ? AND domain = ?
-    ORDER BY created_at DESC
-    LIMIT 10
-  `).all(type, domain);
-
-  for (const e of existing) {
-    const similarity = textSimilarity(content, e.content);
-    if (similarity >= 0.95) {
-      // Update access time and confidence of existing memory
-      database.prepare(`
-        UPDATE memories
-        SET last_accessed_at = CURRENT_TIMESTAMP,
-            access_count = access_count + 1,
-            confidence = MIN(0.9, confidence + 0.05)
-        WHERE id = ?
-      `).run(e.id);
-      return { id: e.id, action: 'updated', similarity };
-    }
-  }
-
   // [v6.1] LLM structuring -> XML
   let structuredContent = preStructuredContent || null;
+  let promptVersion = preStructuredContent ? preStructuredVersion : null;
+  let deferStructurize = false;
   if (!structuredContent && !skipStructurize && STRUCTURIZE_CONFIG.enabled) {
     console.log('[memory-db] Structurizing with LLM...');
-    const structured = await structurizeWithLLM(content, type);
+    const structured = await structurizeWithLLM(content, type, { domain, project });
     if (structured && structured.__rejected) {
       console.log(`[memory-db] Rejected by LLM: ${structured.reason}`);
       return { id: null, action: 'rejected', reason: structured.reason };
     }
     if (structured) {
-      if (typeof structured === 'string' && structured.startsWith('<memory')) {
-        // LLM returned XML directly
-        structuredContent = structured;
-      } else if (typeof structured === 'object') {
-        // Legacy format object -> format as XML
-        structuredContent = formatStructuredContent(structured, type, domain);
-      }
+      ({ structuredContent, promptVersion } = structured);
       console.log('[memory-db] Structured content:', structuredContent);
     }
+    deferStructurize = !structuredContent;
+  }
+
+  // Generate embedding vector (using structured_content + domain for better semantic quality);
+  // it is stored with the memory below
+  const embeddingText = buildEmbeddingText(structuredContent || content, domain);
+  const embeddings = await embedForSpaces(embeddingText);
+  const embedding = activeEmbedding(embeddings);
+
+  // [v6.4] Semantic deduplication against the whole store of this project
+  const duplicate = findDuplicate(embedding, { project, content });
+  if (duplicate) {
+    return applyDedupPolicy(duplicate, { content, structuredContent, source }, dedupPolicy(source));
+  }
+
+  // [v6.4] Compare with the nearest existing memories before storing: a duplicate
+  // verdict of the LLM is folded in like a vector duplicate, other relations are
+  // recorded once the memory exists
+  let comparison = null;
+  if (!skipConflictCheck && CONFLICT_CONFIG.enabled && embedding) {
+    comparison = await compareWithNeighbours(structuredContent || content, embedding, { project });
+    const llmDuplicate = comparison.relations.find(r => r.relation === 'duplicate');
+    const existing = llmDuplicate ? getMemory(llmDuplicate.id) : null;
+    if (existing) {
+      const folded = await applyDedupPolicy({ memory: existing, similarity: llmDuplicate.similarity }, { content, structuredContent, source }, dedupPolicy(source));
+      return { ...folded, duplicateOf: existing.id, reason: llmDuplicate.reason };
+    }
   }
 
   // Insert new memory
   const result = database.prepare(`
-    INSERT INTO memories (content, structured_content, summary, type, tags, keywords, domain, confidence, source, trigger, action)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(content, structuredContent, summary, type, tags, keywords, domain, confidence, source, trigger, action);
+    INSERT INTO memories (content, structured_content, summary, type, tags, keywords, domain, confidence, source, trigger, action, project, prompt_version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(content, structuredContent, summary, type, tags, keywords, domain, confidence, source, trigger, action, project, promptVersion);
 
   const memoryId = Number(result.lastInsertRowid);
 
   // Index in FTS with tokenized content
   ftsInsert(memoryId, content, structuredContent, summary, tags, keywords);
 
-  // Generate embedding vector (using structured_content + domain for better semantic quality)
-  const embeddingText = buildEmbeddingText(structuredContent || content, domain);
-  const embedding = await getEmbedding(embeddingText);
-  if (embedding) {
-    try {
-      // sqlite-vec requires BigInt as rowid
-      database.prepare(`
-        INSERT INTO memories_vec (rowid, embedding)
-        VALUES (?, ?)
-      `).run(BigInt(memoryId), JSON.stringify(embedding));
-    } catch (e) {
-      console.error('[memory-db] Vector insert failed:', e.message);
-    }
+  storeEmbeddings(memoryId, embeddings);
+
+  let relations = { superseded: [], conflicts: [] };
+  if (comparison) {
+    if (comparison.status === 'checked') relations = applyRelations(memoryId, comparison.relations);
+    // LLM unavailable: check later against the stored memory
+    else if (comparison.status !== 'none') enqueueJob('compare', null, { memoryId });
   }
 
+  // [v6.4] LLM unavailable: store the raw content now, structure it later
+  if (deferStructurize) enqueueJob('structurize', null, { memoryId });
+
   // Incremental clustering
   let clusterResult = null;
   if (!skipClustering && embedding) {
-    clusterResult = await tryJoinCluster(memoryId, embedding, domain, confidence);
+    clusterResult = await tryJoinCluster(memoryId, embedding, domain, confidence, project);
   }
 
   return {
     id: memoryId,
     action: 'created',
-    cluster: clusterResult
+    cluster: clusterResult,
+    superseded: relations.superseded,
+    conflicts: relations.conflicts
   };
 }
 
 /**
  * Try to join a memory into an existing cluster
  */
-async function tryJoinCluster(memoryId, embedding, domain, confidence) {
+async function tryJoinCluster(memoryId, embedding, domain, confidence, project = null) {
   const database = getDb();
 
-  // Find active clusters in the same domain
+  // Find active clusters in the same domain and project
   const clusters = database.prepare(`
     SELECT id, theme, centroid_vector, member_count, avg_confidence
     FROM clusters
-    WHERE domain = ? AND status IN ('growing', 'mature')
-  `).all(domain);
+    WHERE domain = ? AND project IS ? AND status IN ('growing', 'mature')
+  `).all(domain, project);
 
   let bestCluster = null;
   let bestSimilarity = 0;
@@ -583,16 +1323,27 @@ async function tryJoinCluster(memoryId, embedding, domain, confidence) {
 
 /**
  * Hybrid search (vector + BM25)
+ * @param {object} options
+ *   - type, domain, tags, since, until, source, clusterId, minConfidence: filters (see buildFilterClause)
+ *   - project: project key of the caller (null for none)
+ *   - scope: 'project' | 'project+global' | 'all' (see SEARCH_SCOPES)
+ *   - fusion, weights, rrfK, confidenceWeight, recencyWeight: scoring overrides (see lib/search-scoring.js)
+ *   - explain: attach a score breakdown to each result as result.explain
+ *   - expandLinks: append memories linked to the hits (one hop, see LINK_TYPES), marked with result.linkedFrom
+ *   - linkTypes: link types followed by expandLinks (default: all)
  */
 async function search(query, limit = 3, options = {}) {
   const database = getDb();
-  const { minConfidence = 0, type = null, domain = null } = options;
+  const { explain = false, expandLinks = false, linkTypes = null } = options;
+  const filters = pickFilters(options);
+  const scoringOptions = scoring.resolveScoring(options);
 
   // Use Map to merge BM25 and vector search results
   const resultsMap = new Map();
+  const chunkMatches = new Map();  // memory id -> best matching chunk (explain)
 
   // BM25 search
-  const ftsResults = quickSearch(query, limit * 2);
+  const ftsResults = scoringOptions.fusion === 'vector' ? [] : quickSearch(query, limit * 2, filters);
   for (const r of ftsResults) {
     resultsMap.set(r.id, {
       ...r,
@@ -602,29 +1353,25 @@ async function search(query, limit = 3, options = {}) {
   }
 
   // Vector search
-  const embedding = await getEmbedding(query);
+  const embedding = scoringOptions.fusion === 'bm25' ? null : await getQueryEmbedding(query);
   if (embedding) {
     try {
-      const vecResults = database.prepare(`
-        SELECT rowid, distance
-        FROM memories_vec
-        WHERE embedding MATCH ?
-        ORDER BY distance
-        LIMIT ?
-      `).all(JSON.stringify(embedding), limit * 2);
+      const vecResults = vectorSearch(embedding, limit * 2, filters);
 
       for (const vr of vecResults) {
         // cosine distance -> similarity: distance range [0, 2], similarity range [0, 1]
         const similarity = 1 - vr.distance;
+        if (vr.chunk) chunkMatches.set(vr.rowid, { index: vr.chunk.index, similarity: vr.chunk.similarity });
 
         if (resultsMap.has(vr.rowid)) {
           // Merge scores: update vector similarity of existing record
           const existing = resultsMap.get(vr.rowid);
           existing.vectorSimilarity = similarity;
           existing.vectorDistance = vr.distance;
+          if (vr.chunk) existing.snippet = vr.chunk.text;
         } else {
           // New record: fetch full info from database
-          const memory = database.prepare('SELECT * FROM memories WHERE id = ?').get(vr.rowid);
+          const memory = database.prepare('SELECT * FROM memories WHERE id = ? AND deleted_at IS NULL').get(vr.rowid);
           if (memory) {
             resultsMap.set(memory.id, {
               id: memory.id,
@@ -632,13 +1379,16 @@ async function search(query, limit = 3, options = {}) {
               summary: memory.summary,
               type: memory.type,
               domain: memory.domain,
+              project: memory.project,
               confidence: memory.confidence,
               tags: memory.tags,
               createdAt: memory.created_at,
+              supersededBy: memory.superseded_by,
               date: memory.created_at ? memory.created_at.slice(0, 10) : 'unknown',
               bm25Score: 0,
               vectorSimilarity: similarity,
-              vectorDistance: vr.distance
+              vectorDistance: vr.distance,
+              ...(vr.chunk ? { snippet: vr.chunk.text } : {})
             });
           }
         }
@@ -648,37 +1398,99 @@ async function search(query, limit = 3, options = {}) {
     }
   }
 
-  // Calculate combined score and sort
-  const results = Array.from(resultsMap.values())
-    .filter(r => (r.confidence || 0) >= minConfidence)
-    .filter(r => !type || r.type === type)
-    .filter(r => !domain || r.domain === domain)
-    .map(r => {
-      // Combined score: vector-dominant (0.7) + BM25-auxiliary (0.3)
-      const bm25Normalized = Math.min((r.bm25Score || 0) / 10, 1.0);
-      const vecSim = r.vectorSimilarity || 0;
-      r.combinedScore = 0.7 * vecSim + 0.3 * bm25Normalized;
-      return r;
-    })
-    .sort((a, b) => b.combinedScore - a.combinedScore)
-    .slice(0, limit);
+  // [v6.4] Usage data for the recency factor
+  const usage = new Map();
+  if (resultsMap.size > 0) {
+    const ids = Array.from(resultsMap.keys());
+    database.prepare(`
+      SELECT id, type, created_at, last_accessed_at, access_count, evidence_count, pinned
+      FROM memories WHERE id IN (${ids.map(() => '?').join(',')})
+    `).all(...ids).forEach(row => usage.set(row.id, row));
+  }
+  const now = Date.now();
+
+  const candidates = Array.from(resultsMap.values());
+
+  // [v6.4] Memories not used for a long time rank lower (pinned ones do not decay)
+  for (const r of candidates) {
+    const row = usage.get(r.id);
+    r.recency = row && !row.pinned ? decay.recencyFactor(row, now) : 1;
+  }
+
+  // [v6.4] Combined score (see lib/search-scoring.js)
+  const results = scoring.fuse(candidates, scoringOptions, { explain }).slice(0, limit);
+
+  // [v6.4] Explain mode: why each result was returned, and in which position
+  if (explain) {
+    const terms = queryTerms(query);
+    const applied = { ...filters, scope: resolveScope(filters), candidates: candidates.length };
+    results.forEach((r, i) => {
+      const matches = explainTermMatches(r.id, terms);
+      if (r.explain?.vector) r.explain.vector.chunk = chunkMatches.get(r.id) || null;
+      r.explain = {
+        rank: i + 1,
+        ...r.explain,
+        queryTerms: terms,
+        matchedTerms: matches.terms,
+        matchedColumns: matches.columns,
+        likeFallback: (r.bm25Score || 0) > 0 && matches.terms.length === 0,
+        filters: applied
+      };
+    });
+  }
+
+  // [v6.4] One hop along memory links from the hits
+  if (expandLinks && results.length > 0) {
+    results.push(...linkedResults(results, filters, { types: linkTypes, limit }));
+  }
 
   return results;
 }
 
+/**
+ * FTS terms of a query: tokenized words without stopwords
+ */
+function queryTerms(query) {
+  return tokenize(query || '')
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w.toLowerCase()));
+}
+
+const FTS_COLUMNS = ['content', 'structured_content', 'summary', 'tags', 'keywords'];
+
+/**
+ * [v6.4] Which query terms matched which FTS columns of a memory
+ * @returns {object} { terms: matched terms, columns: { column: [terms] } }
+ */
+function explainTermMatches(memoryId, terms) {
+  const row = getDb().prepare(`SELECT ${FTS_COLUMNS.join(', ')} FROM memories_fts WHERE rowid = ?`).get(memoryId);
+  const matched = new Set();
+  const columns = {};
+  if (!row) return { terms: [], columns };
+
+  for (const column of FTS_COLUMNS) {
+    const tokens = new Set((row[column] || '').toLowerCase().split(/[^\p{L}\p{N}_]+/u));
+    const hits = terms.filter(t => tokens.has(t.toLowerCase()));
+    if (hits.length > 0) {
+      columns[column] = hits;
+      hits.forEach(t => matched.add(t));
+    }
+  }
+  return { terms: Array.from(matched), columns };
+}
+
 /**
  * Fast BM25 search (no embedding model needed)
  * Uses jieba tokenization when available for Chinese support
+ * @param {object} options - Filters (see search() / buildFilterClause)
  */
 function quickSearch(query, limit = 5, options = {}) {
   const database = getDb();
   const results = new Map();
+  const filter = buildFilterClause(options, 'm');
 
   // Tokenize and extract keywords
-  const tokenized = tokenize(query);
-  const words = tokenized
-    .split(/\s+/)
-    .filter(w => w.length > 1 && !STOPWORDS.has(w.toLowerCase()));
+  const words = queryTerms(query);
 
   // 1. FTS search with tokenized keywords
   if (words.length > 0) {
@@ -688,10 +1500,10 @@ function quickSearch(query, limit = 5, options = {}) {
         SELECT m.*, bm25(memories_fts) as bm25_score
         FROM memories_fts fts
         JOIN memories m ON fts.rowid = m.id
-        WHERE memories_fts MATCH ?
+        WHERE memories_fts MATCH ? AND ${filter.sql}
         ORDER BY bm25(memories_fts)
         LIMIT ?
-      `).all(ftsQuery, limit * 2);
+      `).all(ftsQuery, ...filter.params, limit * 2);
 
       for (const r of ftsResults) {
         results.set(r.id, { ...r, bm25Score: Math.abs(r.bm25_score) });
@@ -705,11 +1517,11 @@ function quickSearch(query, limit = 5, options = {}) {
   if (results.size === 0 && query.length > 0) {
     try {
       const fallbackResults = database.prepare(`
-        SELECT *, 0 as bm25_score
-        FROM memories
-        WHERE content LIKE ? OR structured_content LIKE ?
+        SELECT m.*, 0 as bm25_score
+        FROM memories m
+        WHERE (m.content LIKE ? OR m.structured_content LIKE ?) AND ${filter.sql}
         LIMIT ?
-      `).all(`%${query}%`, `%${query}%`, limit);
+      `).all(`%${query}%`, `%${query}%`, ...filter.params, limit);
 
       for (const r of fallbackResults) {
         results.set(r.id, { ...r, bm25Score: 0.3 });
@@ -720,9 +1532,7 @@ function quickSearch(query, limit = 5, options = {}) {
   }
 
   // Sort and return
-  const { domain = null } = options;
   return Array.from(results.values())
-    .filter(r => !domain || r.domain === domain)
     .sort((a, b) => b.bm25Score - a.bm25Score)
     .slice(0, limit)
     .map(r => ({
@@ -733,9 +1543,11 @@ function quickSearch(query, limit = 5, options = {}) {
       summary: r.summary,
       type: r.type,
       domain: r.domain,
+      project: r.project,
       confidence: r.confidence,
       tags: r.tags,
       createdAt: r.created_at,
+      supersededBy: r.superseded_by,
       bm25Score: r.bm25Score,
       date: r.created_at ? r.created_at.slice(0, 10) : 'unknown'
     }));
@@ -773,12 +1585,145 @@ function markMemoriesUsed(memoryIds) {
 }
 
 /**
- * Delete a memory
+ * Delete a memory (moves it to the trash; see restoreMemory / purgeTrash)
+ * The row, its vector and cluster membership are kept so it can be restored;
+ * it is removed from the FTS index and excluded from search.
+ * @param {number} memoryId - Memory ID
+ * @param {object} options - { reason: why it was deleted }
+ * @returns {boolean} Whether a live memory was moved to the trash
  */
-function deleteMemory(memoryId) {
+function deleteMemory(memoryId, options = {}) {
   const database = getDb();
+  const { reason = null } = options;
+
+  const memory = database.prepare('SELECT id, cluster_id FROM memories WHERE id = ? AND deleted_at IS NULL').get(memoryId);
+  if (!memory) return false;
+
+  database.prepare(`
+    UPDATE memories SET deleted_at = CURRENT_TIMESTAMP, deleted_reason = ? WHERE id = ?
+  `).run(reason, memoryId);
   ftsDelete(memoryId);
-  database.prepare('DELETE FROM memories WHERE id = ?').run(memoryId);
+  if (memory.cluster_id) refreshClusterStats(memory.cluster_id);
+  return true;
+}
+
+/**
+ * Restore a memory from the trash (FTS entry, vector and cluster membership)
+ * @returns {boolean} Whether a trashed memory was restored
+ */
+async function restoreMemory(memoryId) {
+  const database = getDb();
+  const memory = database.prepare('SELECT * FROM memories WHERE id = ? AND deleted_at IS NOT NULL').get(memoryId);
+  if (!memory) return false;
+
+  database.prepare(`
+    UPDATE memories SET deleted_at = NULL, deleted_reason = NULL WHERE id = ?
+  `).run(memoryId);
+  ftsInsert(memoryId, memory.content, memory.structured_content, memory.summary, memory.tags, memory.keywords);
+
+  // Vectors are kept while in the trash; re-embed only if one is missing
+  if (!hasVector(memoryId)) {
+    await embedMemory(memoryId, buildEmbeddingText(memory.structured_content || memory.content, memory.domain));
+  }
+
+  if (memory.cluster_id) refreshClusterStats(memory.cluster_id);
+  return true;
+}
+
+/**
+ * List memories in the trash (most recently deleted first)
+ */
+function listTrash(options = {}) {
+  const database = getDb();
+  const { limit = 50 } = options;
+  return database.prepare(`
+    SELECT id, content, summary, type, domain, project, confidence, cluster_id, deleted_at, deleted_reason
+    FROM memories
+    WHERE deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC
+    LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Permanently delete trashed memories older than the retention period
+ * @param {object} options - { olderThanDays (default config.trash.retentionDays) }
+ * @returns {number} Number of memories purged
+ */
+function purgeTrash(options = {}) {
+  const database = getDb();
+  const { olderThanDays = TRASH_RETENTION_DAYS } = options;
+
+  const expired = database.prepare(`
+    SELECT id FROM memories
+    WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+  `).all(`-${Number(olderThanDays)} days`);
+
+  const purge = database.transaction(() => {
+    for (const { id } of expired) {
+      removeVectors(id);
+      ftsDelete(id);
+      database.prepare('DELETE FROM memory_revisions WHERE memory_id = ?').run(id);
+      // Only the lineage and derived-from links of a purged merged memory go: a purged
+      // source stays in its merged memory's lineage, reported as purged by provenance and unmerge
+      database.prepare('DELETE FROM memory_lineage WHERE memory_id = ?').run(id);
+      database.prepare("DELETE FROM memory_links WHERE from_id = ? OR (to_id = ? AND type != 'derived-from')").run(id, id);
+      database.prepare('DELETE FROM memory_conflicts WHERE memory_id = ? OR other_id = ?').run(id, id);
+      database.prepare('DELETE FROM llm_jobs WHERE memory_id = ?').run(id);
+      database.prepare('DELETE FROM memories WHERE id = ?').run(id);
+    }
+  });
+  purge();
+
+  if (expired.length > 0) _log(`[PURGE] ${expired.length} memories older than ${olderThanDays}d`);
+  return expired.length;
+}
+
+/**
+ * Periodic maintenance: decay the confidence of idle memories and move
+ * memories idle past their type's TTL to the trash (see lib/decay.js)
+ * @param {object} options - { now: epoch ms, for testing }
+ * @returns {object} { decayed, expired }
+ */
+function runMaintenance(options = {}) {
+  const database = getDb();
+  const { now = Date.now() } = options;
+
+  const rows = database.prepare(`
+    SELECT id, type, confidence, created_at, last_accessed_at, decayed_at, access_count, evidence_count
+    FROM memories WHERE deleted_at IS NULL AND pinned = 0
+  `).all();
+
+  const expired = rows.filter(r => decay.isExpired(r, now));
+  for (const r of expired) {
+    deleteMemory(r.id, { reason: `expired (${r.type} idle > ${decay.DECAY_CONFIG.ttlDays[r.type]}d)` });
+  }
+
+  const expiredIds = new Set(expired.map(r => r.id));
+  const nowStamp = new Date(now).toISOString().slice(0, 19).replace('T', ' ');
+  const update = database.prepare('UPDATE memories SET confidence = ?, decayed_at = ? WHERE id = ?');
+  let decayed = 0;
+  database.transaction(() => {
+    for (const r of rows) {
+      if (expiredIds.has(r.id)) continue;
+      const confidence = decay.decayedConfidence(r, now);
+      // Skip negligible changes so decayed_at keeps accumulating elapsed time
+      if (r.confidence - confidence < 0.001) continue;
+      update.run(Math.round(confidence * 1000) / 1000, nowStamp, r.id);
+      decayed++;
+    }
+  })();
+
+  if (decayed > 0 || expired.length > 0) _log(`[DECAY] decayed=${decayed} expired=${expired.length}`);
+  return { decayed, expired: expired.length };
+}
+
+/**
+ * Get a memory by ID (null if it does not exist or is in the trash)
+ */
+function getMemory(memoryId) {
+  const database = getDb();
+  return database.prepare('SELECT * FROM memories WHERE id = ? AND deleted_at IS NULL').get(memoryId) || null;
 }
 
 /**
@@ -797,6 +1742,166 @@ function validateMemory(memoryId, isValid) {
   `).run(delta, memoryId);
 }
 
+// ============== [v6.4] Editing and Revisions ==============
+
+// Memory columns captured in memory_revisions
+const REVISION_FIELDS = ['content', 'structured_content', 'summary', 'type', 'domain', 'tags', 'keywords', 'confidence', 'project', 'prompt_version'];
+
+// Changes to these columns require a new embedding
+const EMBEDDING_FIELDS = ['content', 'structured_content', 'domain'];
+
+/**
+ * Update a memory in place, keeping its previous version in memory_revisions
+ *
+ * Re-runs LLM structuring when content or type changes (unless structuredContent
+ * is given in the patch), then re-indexes FTS and re-embeds the vector.
+ *
+ * @param {number} memoryId - Memory ID
+ * @param {object} patch - Any of { content, structuredContent, type, domain, tags, confidence, project };
+ *   promptVersion goes with structuredContent (null for hand-written XML)
+ * @param {object} options
+ *   - reason: Free-text note stored with the revision
+ *   - skipStructurize: Do not call the LLM (structured content is cleared if content changed)
+ * @returns {object|null} { id, action: 'updated'|'unchanged', revision, changed } or null if not found
+ */
+async function updateMemory(memoryId, patch = {}, options = {}) {
+  const database = getDb();
+  const { reason = null, skipStructurize = false } = options;
+
+  const current = database.prepare('SELECT * FROM memories WHERE id = ? AND deleted_at IS NULL').get(memoryId);
+  if (!current) return null;
+
+  const next = { ...current };
+  for (const field of ['content', 'type', 'domain', 'tags', 'confidence', 'project']) {
+    if (patch[field] !== undefined) next[field] = patch[field];
+  }
+
+  const contentChanged = next.content !== current.content;
+  if (contentChanged) {
+    next.summary = next.content.length > 100 ? next.content.slice(0, 100) + '...' : next.content;
+    next.keywords = extractKeywords(next.content).join(',');
+  }
+
+  // Structured content: explicit > re-structurize on content/type change > unchanged
+  if (patch.structuredContent !== undefined) {
+    next.structured_content = patch.structuredContent;
+    next.prompt_version = patch.promptVersion ?? null;
+  } else if (contentChanged || next.type !== current.type) {
+    next.structured_content = null;
+    next.prompt_version = null;
+    if (!skipStructurize && STRUCTURIZE_CONFIG.enabled) {
+      const structured = await structurizeWithLLM(next.content, next.type, { domain: next.domain, project: next.project });
+      if (structured && structured.__rejected) {
+        // An explicit edit is kept even if the LLM considers it low value
+        _log(`[UPDATE] #${memoryId} structurize rejected (${structured.reason || 'low value'}), keeping raw content`);
+      } else if (structured) {
+        next.structured_content = structured.structuredContent;
+        next.prompt_version = structured.promptVersion;
+      }
+    }
+  }
+
+  const changed = REVISION_FIELDS.filter(f => next[f] !== current[f]);
+  if (changed.length === 0) {
+    return { id: memoryId, action: 'unchanged', revision: null, changed };
+  }
+
+  // Embed before opening the transaction (async)
+  let embeddings = [];
+  if (changed.some(f => EMBEDDING_FIELDS.includes(f))) {
+    embeddings = await embedForSpaces(buildEmbeddingText(next.structured_content || next.content, next.domain));
+  }
+
+  const apply = database.transaction(() => {
+    const revision = (database.prepare(
+      'SELECT MAX(revision) as rev FROM memory_revisions WHERE memory_id = ?'
+    ).get(memoryId).rev || 0) + 1;
+
+    database.prepare(`
+      INSERT INTO memory_revisions (memory_id, revision, ${REVISION_FIELDS.join(', ')}, reason)
+      VALUES (?, ?, ${REVISION_FIELDS.map(() => '?').join(', ')}, ?)
+    `).run(memoryId, revision, ...REVISION_FIELDS.map(f => current[f]), reason);
+
+    database.prepare(`
+      UPDATE memories
+      SET ${REVISION_FIELDS.map(f => `${f} = ?`).join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...REVISION_FIELDS.map(f => next[f]), memoryId);
+
+    ftsDelete(memoryId);
+    ftsInsert(memoryId, next.content, next.structured_content, next.summary, next.tags, next.keywords);
+
+    for (const { space, embedding, chunks } of embeddings) {
+      storeVector(memoryId, embedding, space, chunks);
+    }
+
+    return revision;
+  });
+
+  const revision = apply();
+  _log(`[UPDATE] #${memoryId} revision=${revision} changed=${changed.join(',')}`);
+  return { id: memoryId, action: 'updated', revision, changed };
+}
+
+/**
+ * List prior versions of a memory (oldest first)
+ */
+function getMemoryRevisions(memoryId) {
+  const database = getDb();
+  return database.prepare(`
+    SELECT * FROM memory_revisions WHERE memory_id = ? ORDER BY revision ASC
+  `).all(memoryId);
+}
+
+/**
+ * Field-level diff between two versions of a memory
+ * @param {number} memoryId - Memory ID
+ * @param {number} fromRevision - Revision number
+ * @param {number|null} toRevision - Revision number, null for the current version
+ * @returns {object|null} { from, to, changes: { field: { from, to } } } or null if a version is missing
+ */
+function diffMemoryRevisions(memoryId, fromRevision, toRevision = null) {
+  const database = getDb();
+  const getRevision = rev => database.prepare(
+    'SELECT * FROM memory_revisions WHERE memory_id = ? AND revision = ?'
+  ).get(memoryId, rev);
+
+  const from = getRevision(fromRevision);
+  const to = toRevision == null
+    ? database.prepare('SELECT * FROM memories WHERE id = ?').get(memoryId)
+    : getRevision(toRevision);
+  if (!from || !to) return null;
+
+  const changes = {};
+  for (const f of REVISION_FIELDS) {
+    if (from[f] !== to[f]) changes[f] = { from: from[f], to: to[f] };
+  }
+  return { from: fromRevision, to: toRevision == null ? 'current' : toRevision, changes };
+}
+
+/**
+ * Restore a memory to a prior revision (the current version becomes a new revision)
+ */
+async function rollbackMemory(memoryId, revision) {
+  const database = getDb();
+  const target = database.prepare(
+    'SELECT * FROM memory_revisions WHERE memory_id = ? AND revision = ?'
+  ).get(memoryId, revision);
+  if (!target) return null;
+
+  return updateMemory(memoryId, {
+    content: target.content,
+    structuredContent: target.structured_content,
+    promptVersion: target.prompt_version,
+    type: target.type,
+    domain: target.domain,
+    tags: target.tags,
+    confidence: target.confidence,
+    project: target.project
+  }, { reason: `rollback to revision ${revision}` });
+}
+
 // ============== Clustering and Evolution ==============
 
 /**
@@ -821,7 +1926,7 @@ async function autoCluster(options = {}) {
   const database = getDb();
 
   // Build query conditions
-  let whereClause = 'cluster_id IS NULL AND confidence >= ?';
+  let whereClause = 'cluster_id IS NULL AND deleted_at IS NULL AND confidence >= ?';
   const params = [minConfidence];
 
   if (domain) {
@@ -835,7 +1940,7 @@ async function autoCluster(options = {}) {
 
   // Get unclustered memories
   const unclustered = database.prepare(`
-    SELECT id, content, summary, confidence, domain
+    SELECT id, content, summary, confidence, domain, project
     FROM memories
     WHERE ${whereClause}
     ORDER BY confidence DESC
@@ -849,34 +1954,30 @@ async function autoCluster(options = {}) {
   // Get vectors (using vec_to_json to read sqlite-vec binary format)
   const vectors = [];
   for (const m of unclustered) {
-    try {
-      const vec = database.prepare(
-        'SELECT vec_to_json(embedding) as json_vec FROM memories_vec WHERE rowid = ?'
-      ).get(m.id);
-      if (vec && vec.json_vec) {
-        vectors.push({ id: m.id, memory: m, vector: JSON.parse(vec.json_vec) });
-      }
-    } catch (e) {
-      // Skip memories without vectors
+    const vector = readVector(m.id);
+    if (vector) {
+      vectors.push({ id: m.id, memory: m, vector });
     }
+    // Skip memories without vectors
   }
 
   if (vectors.length < minClusterSize) {
     return [];
   }
 
-  // Group by domain
-  const byDomain = {};
+  // Group by project + domain (clusters never span projects)
+  const groups = new Map();
   for (const v of vectors) {
-    const d = v.memory.domain;
-    if (!byDomain[d]) byDomain[d] = [];
-    byDomain[d].push(v);
+    const key = JSON.stringify([v.memory.project || null, v.memory.domain]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(v);
   }
 
   const createdClusters = [];
 
-  // Greedy clustering for each domain
-  for (const [domainName, domainVectors] of Object.entries(byDomain)) {
+  // Greedy clustering for each project + domain
+  for (const [key, domainVectors] of groups) {
+    const [projectName, domainName] = JSON.parse(key);
     if (domainVectors.length < minClusterSize) continue;
 
     const used = new Set();
@@ -922,8 +2023,8 @@ async function autoCluster(options = {}) {
 
       // Insert cluster
       const result = database.prepare(`
-        INSERT INTO clusters (theme, centroid_id, centroid_vector, member_count, avg_confidence, domain, status)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO clusters (theme, centroid_id, centroid_vector, member_count, avg_confidence, domain, project, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         theme,
         cluster[0].id,
@@ -931,6 +2032,7 @@ async function autoCluster(options = {}) {
         cluster.length,
         avgConfidence,
         domainName,
+        projectName,
         status
       );
 
@@ -945,6 +2047,7 @@ async function autoCluster(options = {}) {
         id: clusterId,
         theme,
         domain: domainName,
+        project: projectName,
         memberCount: cluster.length,
         avgConfidence,
         status,
@@ -979,6 +2082,24 @@ function inferClusterTheme(memories) {
     .join('-') || 'general-pattern';
 }
 
+/**
+ * Recompute a cluster's member count and average confidence from its live members
+ * (merged clusters keep their final statistics)
+ */
+function refreshClusterStats(clusterId) {
+  const database = getDb();
+  const stats = database.prepare(`
+    SELECT COUNT(*) as count, AVG(confidence) as avg
+    FROM memories WHERE cluster_id = ? AND deleted_at IS NULL
+  `).get(clusterId);
+
+  database.prepare(`
+    UPDATE clusters
+    SET member_count = ?, avg_confidence = COALESCE(?, avg_confidence), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status != 'merged'
+  `).run(stats.count, stats.avg, clusterId);
+}
+
 /**
  * Get mature clusters
  */
@@ -1001,7 +2122,7 @@ async function mergeClusterMemories(clusterId) {
   if (!cluster || cluster.status !== 'mature') return null;
 
   const members = database.prepare(`
-    SELECT * FROM memories WHERE cluster_id = ? ORDER BY confidence DESC
+    SELECT * FROM memories WHERE cluster_id = ? AND deleted_at IS NULL ORDER BY confidence DESC
   `).all(clusterId);
 
   if (members.length < 2) return null;  // Need at least 2 to make merging meaningful
@@ -1017,34 +2138,42 @@ async function mergeClusterMemories(clusterId) {
 
   // Call LLM for merging
   let mergedContent = null;
-  let structuredContent = null;
+  let promptVersion = null;
   try {
     const llmClient = require('./llm-client');
     if (await llmClient.isAvailable()) {
-      mergedContent = await llmClient.merge(memoryTexts, domain);
+      const result = await llmClient.merge(memoryTexts, domain, { project: cluster.project });
+      if (result.error) _log(`[MERGE-ERR] cluster #${clusterId}: ${result.error}`);
+      else ({ merged: mergedContent, promptVersion } = result);
     }
   } catch (e) {
     // LLM not available, fall back
   }
 
   if (mergedContent) {
-    // [v6.1] LLM merge: supports direct XML return or legacy format object
-    let content;
-    if (typeof mergedContent === 'string' && mergedContent.startsWith('<memory')) {
-      // LLM returned XML directly
-      structuredContent = mergedContent;
-      content = cluster.theme;
-    } else {
-      content = mergedContent.content || mergedContent.summary || cluster.theme;
-      structuredContent = formatStructuredContent(mergedContent, mainType, domain);
-    }
+    const { content, structuredContent, summary, keywords } = mergedMemoryFields(mergedContent, cluster.theme, mainType, domain);
+
+    // Generate embedding vector (using structured_content + domain for better semantic quality)
+    const embeddings = await embedForSpaces(buildEmbeddingText(structuredContent || content, domain));
 
-    const summary = (typeof mergedContent === 'string') ? cluster.theme : (mergedContent.summary || cluster.theme);
+    // [v6.4] An existing memory outside the cluster already says the same: fold the cluster into it
+    const duplicate = findDuplicate(activeEmbedding(embeddings), { project: cluster.project, content, excludeIds: members.map(m => m.id) });
+    if (duplicate) {
+      const folded = await applyDedupPolicy(duplicate, { content, structuredContent, source: 'cluster-merge' }, dedupPolicy('cluster-merge'));
+      database.prepare(`
+        UPDATE clusters SET status = 'merged', evolved_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(clusterId);
+      recordLineage(folded.id, members, clusterId, { folded: true });
+      for (const m of members) {
+        deleteMemory(m.id, { reason: `merged into #${folded.id} (duplicate)` });
+      }
+      return { memoryId: folded.id, summary: duplicate.memory.summary, memberCount: members.length, deduplicated: folded.action };
+    }
 
     // Create merged memory
     const result = database.prepare(`
-      INSERT INTO memories (content, structured_content, summary, type, domain, confidence, source, trigger, keywords)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO memories (content, structured_content, summary, type, domain, confidence, source, trigger, keywords, project, prompt_version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       content,
       structuredContent,
@@ -1054,94 +2183,958 @@ async function mergeClusterMemories(clusterId) {
       0.9,
       'cluster-merge',
       `merged from cluster #${clusterId} (${members.length} memories)`,
-      (typeof mergedContent === 'object' && mergedContent.triggers) ? mergedContent.triggers.join(',') : ''
+      keywords,
+      cluster.project,
+      promptVersion
     );
 
     const newMemoryId = Number(result.lastInsertRowid);
     ftsInsert(newMemoryId, content, structuredContent, summary, mainType, '');
+    storeEmbeddings(newMemoryId, embeddings);
 
-    // Generate embedding vector (using structured_content + domain for better semantic quality)
-    const embeddingText = buildEmbeddingText(structuredContent || content, domain);
-    const embedding = await getEmbedding(embeddingText);
-    if (embedding) {
-      try {
-        database.prepare(`
-          INSERT INTO memories_vec (rowid, embedding)
-          VALUES (?, ?)
-        `).run(BigInt(newMemoryId), JSON.stringify(embedding));
-      } catch (e) {
-        // Vector insert failed, does not affect main flow
-      }
-    }
-
-    // Delete original memories and their vectors
-    for (const m of members) {
-      try {
-        database.prepare('DELETE FROM memories_vec WHERE rowid = ?').run(BigInt(m.id));
-      } catch (e) { /* ignore */ }
-      ftsDelete(m.id);
-      database.prepare('DELETE FROM memories WHERE id = ?').run(m.id);
-    }
-
-    // Update cluster status
+    // Update cluster status (before trashing members, so its statistics are kept)
     database.prepare(`
       UPDATE clusters SET status = 'merged', evolved_at = CURRENT_TIMESTAMP WHERE id = ?
     `).run(clusterId);
 
+    // Move original memories to the trash (restorable until purged, see unmergeCluster)
+    recordLineage(newMemoryId, members, clusterId);
+    for (const m of members) {
+      deleteMemory(m.id, { reason: `merged into #${newMemoryId}` });
+    }
+
     return { memoryId: newMemoryId, summary, memberCount: members.length };
   }
 
   // LLM not available: simple concatenation fallback
   const fallbackContent = memoryTexts.join('\n---\n');
   const result = database.prepare(`
-    INSERT INTO memories (content, summary, type, domain, confidence, source, trigger)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(fallbackContent, cluster.theme, mainType, domain, 0.85, 'cluster-merge', `fallback merge from cluster #${clusterId}`);
+    INSERT INTO memories (content, summary, type, domain, confidence, source, trigger, project)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(fallbackContent, cluster.theme, mainType, domain, 0.85, 'cluster-merge', `fallback merge from cluster #${clusterId}`, cluster.project);
 
   const newMemoryId = Number(result.lastInsertRowid);
   ftsInsert(newMemoryId, fallbackContent, null, cluster.theme, mainType, '');
 
-  for (const m of members) {
-    try {
-      database.prepare('DELETE FROM memories_vec WHERE rowid = ?').run(BigInt(m.id));
-    } catch (e) { /* ignore */ }
-    ftsDelete(m.id);
-    database.prepare('DELETE FROM memories WHERE id = ?').run(m.id);
-  }
-
   database.prepare(`
     UPDATE clusters SET status = 'merged', evolved_at = CURRENT_TIMESTAMP WHERE id = ?
   `).run(clusterId);
 
-  return { memoryId: newMemoryId, summary: cluster.theme, memberCount: members.length };
-}
-
-// ============== Utility Functions ==============
-
-function extractKeywords(text) {
-  const words = text
-    .replace(/[^\w\s\u4e00-\u9fff]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length > 1 && !STOPWORDS.has(w.toLowerCase()));
-
-  // Count word frequency
-  const freq = {};
-  for (const w of words) {
-    freq[w] = (freq[w] || 0) + 1;
+  recordLineage(newMemoryId, members, clusterId);
+  for (const m of members) {
+    deleteMemory(m.id, { reason: `merged into #${newMemoryId}` });
   }
 
-  return Object.entries(freq)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([word]) => word);
-}
+  // [v6.4] Replace the concatenation with an LLM merge once the LLM is back
+  enqueueJob('merge', { clusterId, texts: memoryTexts, theme: cluster.theme, type: mainType, domain }, { memoryId: newMemoryId });
 
-function textSimilarity(a, b) {
-  const wordsA = new Set(a.toLowerCase().split(/\s+/));
-  const wordsB = new Set(b.toLowerCase().split(/\s+/));
-  const intersection = new Set([...wordsA].filter(x => wordsB.has(x)));
-  const union = new Set([...wordsA, ...wordsB]);
-  return intersection.size / union.size;
+  return { memoryId: newMemoryId, summary: cluster.theme, memberCount: members.length };
+}
+
+/**
+ * Memory fields for an LLM merge result (XML string or legacy format object)
+ * @returns {object} { content, structuredContent, summary, keywords }
+ */
+function mergedMemoryFields(merged, theme, type, domain) {
+  // [v6.1] LLM returned XML directly
+  if (typeof merged === 'string' && merged.startsWith('<memory')) {
+    return { content: theme, structuredContent: merged, summary: theme, keywords: '' };
+  }
+  return {
+    content: merged.content || merged.summary || theme,
+    structuredContent: formatStructuredContent(merged, type, domain),
+    summary: merged.summary || theme,
+    keywords: Array.isArray(merged.triggers) ? merged.triggers.join(',') : ''
+  };
+}
+
+// ============== [v6.4] Merge Lineage ==============
+
+/**
+ * Record which source memories a cluster-merge memory was produced from
+ */
+function recordLineage(memoryId, sources, clusterId, options = {}) {
+  const { folded = false } = options;
+  const database = getDb();
+  const insert = database.prepare(`
+    INSERT OR IGNORE INTO memory_lineage (memory_id, source_id, cluster_id, folded) VALUES (?, ?, ?, ?)
+  `);
+  for (const source of sources) {
+    insert.run(memoryId, source.id, clusterId, folded ? 1 : 0);
+    insertLink(memoryId, source.id, 'derived-from', `cluster #${clusterId}`);
+  }
+}
+
+/**
+ * Undo a cluster merge: restore the source memories from the trash and
+ * move the merged memory to the trash. The cluster is marked 'unmerged'
+ * so it is not merged again automatically.
+ * [v6.4] A cluster folded into a memory that existed before the merge (a
+ * duplicate, see mergeClusterMemories) only gets its sources back: that memory
+ * stays, without the lineage and links to them.
+ * @param {number} clusterId - Cluster ID
+ * @returns {object|null} { clusterId, restored, missing, removed } or null if the cluster was not merged
+ */
+async function unmergeCluster(clusterId) {
+  const database = getDb();
+
+  const cluster = database.prepare('SELECT * FROM clusters WHERE id = ?').get(clusterId);
+  if (!cluster || cluster.status !== 'merged') return null;
+
+  const lineage = database.prepare('SELECT memory_id, source_id, folded FROM memory_lineage WHERE cluster_id = ?').all(clusterId);
+  if (lineage.length === 0) return null;
+
+  database.prepare(`
+    UPDATE clusters SET status = 'unmerged', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(clusterId);
+
+  const restored = [];
+  const missing = [];
+  for (const sourceId of new Set(lineage.map(l => l.source_id))) {
+    if (await restoreMemory(sourceId)) {
+      restored.push(sourceId);
+    } else if (!database.prepare('SELECT 1 FROM memories WHERE id = ? AND deleted_at IS NULL').get(sourceId)) {
+      // Purged from the trash, cannot be brought back
+      missing.push(sourceId);
+    }
+  }
+
+  const removed = [];
+  for (const mergedId of new Set(lineage.filter(l => !l.folded).map(l => l.memory_id))) {
+    if (deleteMemory(mergedId, { reason: `unmerged cluster #${clusterId}` })) {
+      removed.push(mergedId);
+    }
+  }
+  const deleteLink = database.prepare("DELETE FROM memory_links WHERE from_id = ? AND to_id = ? AND type = 'derived-from'");
+  for (const l of lineage.filter(l => l.folded)) deleteLink.run(l.memory_id, l.source_id);
+  database.prepare('DELETE FROM memory_lineage WHERE cluster_id = ? AND folded = 1').run(clusterId);
+
+  _log(`[UNMERGE] cluster #${clusterId} restored=${restored.join(',')} missing=${missing.join(',')} removed=${removed.join(',')}`);
+  return { clusterId, restored, missing, removed };
+}
+
+/**
+ * Get the provenance of a memory: the sources it was merged from, the
+ * memories it was later merged into and [v6.4] its supersession links
+ * @returns {object|null} { memory, clusterId, sources, mergedInto, supersededBy, supersedes }
+ *   or null if the memory does not exist
+ */
+function getProvenance(memoryId) {
+  const database = getDb();
+
+  const memory = database.prepare(`
+    SELECT id, summary, type, domain, source, trigger, created_at, deleted_at, deleted_reason, superseded_by, superseded_at
+    FROM memories WHERE id = ?
+  `).get(memoryId);
+  if (!memory) return null;
+
+  const describe = (id, row) => row
+    ? { id, summary: row.summary, type: row.type, status: row.deleted_at ? 'trashed' : row.superseded_by != null ? 'superseded' : 'live', createdAt: row.created_at }
+    : { id, summary: null, type: null, status: 'purged', createdAt: null };
+  const getRow = id => database.prepare('SELECT summary, type, created_at, deleted_at, superseded_by FROM memories WHERE id = ?').get(id);
+
+  const sourceRows = database.prepare('SELECT source_id, cluster_id FROM memory_lineage WHERE memory_id = ? ORDER BY source_id').all(memoryId);
+  const mergedIntoRows = database.prepare('SELECT memory_id FROM memory_lineage WHERE source_id = ? ORDER BY memory_id').all(memoryId);
+  const supersedesRows = database.prepare('SELECT id FROM memories WHERE superseded_by = ? ORDER BY id').all(memoryId);
+
+  return {
+    memory,
+    clusterId: sourceRows.length > 0 ? sourceRows[0].cluster_id : null,
+    sources: sourceRows.map(r => describe(r.source_id, getRow(r.source_id))),
+    mergedInto: mergedIntoRows.map(r => describe(r.memory_id, getRow(r.memory_id))),
+    supersededBy: memory.superseded_by != null ? describe(memory.superseded_by, getRow(memory.superseded_by)) : null,
+    supersedes: supersedesRows.map(r => describe(r.id, getRow(r.id)))
+  };
+}
+
+// ============== [v6.4] Semantic Deduplication ==============
+
+/**
+ * Count a memory that was saved again as accessed and raise its confidence (+0.05, max 0.9)
+ */
+function reinforceMemory(memoryId) {
+  getDb().prepare(`
+    UPDATE memories
+    SET last_accessed_at = CURRENT_TIMESTAMP,
+        access_count = access_count + 1,
+        confidence = MIN(0.9, confidence + 0.05)
+    WHERE id = ?
+  `).run(memoryId);
+}
+
+/**
+ * Dedup policy for memories from a source (config.dedup.policy, falling back to its 'default')
+ * @returns {string} 'skip' | 'bump' | 'merge'
+ */
+function dedupPolicy(source) {
+  const policy = DEDUP_CONFIG.policy[source] ?? DEDUP_CONFIG.policy.default;
+  return DEDUP_POLICIES.includes(policy) ? policy : 'bump';
+}
+
+/**
+ * Find the live memory a new one duplicates: its nearest neighbour in the
+ * vector index, among memories of the same project (or global ones for a
+ * global memory), if the similarity reaches config.dedup.threshold.
+ * Superseded memories are not considered.
+ * @param {number[]|null} embedding - Vector in the active space; without one only identical content matches
+ * @param {object} options - { project, content, excludeIds: memories to ignore }
+ * @returns {object|null} { memory, similarity }
+ */
+function findDuplicate(embedding, options = {}) {
+  const { project = null, content = null, excludeIds = [] } = options;
+
+  if (embedding) {
+    const hits = vectorSearch(embedding, excludeIds.length + 1, { project, scope: 'project' });
+    const hit = hits.find(h => !excludeIds.includes(h.rowid));
+    if (!hit || 1 - hit.distance < DEDUP_CONFIG.threshold) return null;
+    const memory = getMemory(hit.rowid);
+    return memory ? { memory, similarity: 1 - hit.distance } : null;
+  }
+
+  if (!content) return null;
+  const memory = getDb().prepare(`
+    SELECT * FROM memories
+    WHERE content = ? AND project IS ? AND deleted_at IS NULL AND superseded_by IS NULL
+    ORDER BY id DESC
+  `).all(content, project).find(m => !excludeIds.includes(m.id));
+  return memory ? { memory, similarity: 1 } : null;
+}
+
+/**
+ * Fold a new memory into the existing memory it duplicates instead of saving it
+ *   skip  - leave the existing memory as it is
+ *   bump  - reinforce it (see reinforceMemory)
+ *   merge - reinforce it and merge the new content in (LLM merge action; appended
+ *           and structured later if the LLM is unavailable); a revision is kept
+ * @param {object} duplicate - { memory, similarity } from findDuplicate()
+ * @param {object} incoming - { content, structuredContent, source }
+ * @param {string} policy - See dedupPolicy()
+ * @returns {object} { id, action: 'skipped'|'updated'|'merged', similarity, policy }
+ */
+async function applyDedupPolicy(duplicate, incoming, policy) {
+  const { memory, similarity } = duplicate;
+  const result = { id: memory.id, similarity, policy };
+  _log(`[DEDUP] ${incoming.source || 'unknown'} -> #${memory.id} similarity=${similarity.toFixed(4)} policy=${policy}`);
+
+  if (policy === 'skip') return { ...result, action: 'skipped' };
+  reinforceMemory(memory.id);
+  if (policy !== 'merge' || memory.content.includes(incoming.content.trim())) {
+    return { ...result, action: 'updated' };
+  }
+
+  let merged = null;
+  try {
+    const llmClient = require('./llm-client');
+    if (await llmClient.isAvailable()) {
+      merged = await llmClient.merge(
+        [memory.structured_content || memory.content, incoming.structuredContent || incoming.content],
+        memory.domain, { project: memory.project }
+      );
+    }
+  } catch (e) {
+    // LLM not available, fall back
+  }
+
+  const content = `${memory.content}\n---\n${incoming.content}`;
+  const reason = `merged duplicate from ${incoming.source || 'unknown'}`;
+  if (merged && merged.error) {
+    _log(`[DEDUP-MERGE-ERR] #${memory.id}: ${merged.error}`);
+    merged = null;
+  }
+  if (merged) {
+    const fields = mergedMemoryFields(merged.merged, memory.summary, memory.type, memory.domain);
+    await updateMemory(memory.id, {
+      content,
+      structuredContent: fields.structuredContent,
+      promptVersion: merged.promptVersion
+    }, { reason, skipStructurize: true });
+  } else {
+    await updateMemory(memory.id, { content }, { reason, skipStructurize: true });
+    if (STRUCTURIZE_CONFIG.enabled) enqueueJob('structurize', null, { memoryId: memory.id });
+  }
+  return { ...result, action: 'merged' };
+}
+
+// ============== [v6.4] Contradiction and Supersession ==============
+
+const CONFLICT_RESOLUTIONS = ['keep_new', 'keep_old', 'keep_both'];
+
+/**
+ * Ask the LLM how a memory relates to its nearest neighbours; nothing is changed.
+ * Neighbours are live, not superseded memories of the same project (plus global
+ * ones) with vector similarity >= config.conflicts.minSimilarity.
+ * @param {string} text - Memory text (structured content if any)
+ * @param {number[]} vector - Its vector in the active space
+ * @param {object} options - { project, excludeId: the memory itself, once stored }
+ * @returns {object} { status: 'checked'|'none'|'unavailable'|'failed',
+ *   relations: [{ id, relation, reason, similarity }] closest first, promptVersion }
+ *   'none': no neighbour close enough; 'unavailable'/'failed': the LLM could not compare
+ */
+async function compareWithNeighbours(text, vector, options = {}) {
+  const { project = null, excludeId = null } = options;
+  const comparison = { status: 'none', relations: [], promptVersion: null };
+
+  const neighbours = vectorSearch(vector, CONFLICT_CONFIG.maxCandidates + 1, {
+    project,
+    scope: project ? 'project+global' : 'project'
+  }).filter(r => r.rowid !== excludeId && 1 - r.distance >= CONFLICT_CONFIG.minSimilarity)
+    .slice(0, CONFLICT_CONFIG.maxCandidates);
+  if (neighbours.length === 0) return comparison;
+
+  const getRow = getDb().prepare('SELECT id, content, structured_content FROM memories WHERE id = ?');
+  const similarities = new Map(neighbours.map(r => [r.rowid, 1 - r.distance]));
+  const candidates = neighbours.map(r => getRow.get(r.rowid)).filter(Boolean)
+    .map(m => ({ id: m.id, text: m.structured_content || m.content }));
+
+  _log(`[COMPARE-REQ] ${excludeId != null ? `memory=#${excludeId}` : 'new memory'} candidates=${candidates.map(c => `#${c.id}`).join(',')}`);
+  let result = null;
+  try {
+    const llmClient = require('./llm-client');
+    if (!(await llmClient.isAvailable())) {
+      _log(`[COMPARE-ERR] llm-server not available`);
+      return { ...comparison, status: 'unavailable' };
+    }
+    result = await llmClient.compare(text, candidates, { project });
+  } catch (e) {
+    _log(`[COMPARE-ERR] error=${e.message}`);
+  }
+  if (!result) return { ...comparison, status: 'failed' };
+  if (result.error) {
+    _log(`[COMPARE-ERR] error=${result.error}`);
+    return { ...comparison, status: result.unavailable ? 'unavailable' : 'failed' };
+  }
+  _log(`[COMPARE-RES] relations=${_str(result.relations)}`);
+
+  // Candidates are in similarity order: the closest duplicate wins
+  const byId = new Map(result.relations.map(r => [r.id, r]));
+  const relations = candidates.filter(c => byId.has(c.id))
+    .map(c => ({ ...byId.get(c.id), similarity: similarities.get(c.id) }));
+  return { status: 'checked', relations, promptVersion: result.promptVersion };
+}
+
+/**
+ * Record the supersedes / contradicts relations of a stored memory
+ *   supersedes  - the existing memory is marked superseded by this one
+ *   contradicts - the pair is recorded in memory_conflicts for review
+ * @returns {object} { superseded: [ids], conflicts: [ids] }
+ */
+function applyRelations(memoryId, relations) {
+  const applied = { superseded: [], conflicts: [] };
+  const insertConflict = getDb().prepare(`
+    INSERT OR IGNORE INTO memory_conflicts (memory_id, other_id, reason) VALUES (?, ?, ?)
+  `);
+  for (const r of relations) {
+    if (r.relation === 'supersedes' && setSuperseded(r.id, memoryId)) {
+      applied.superseded.push(r.id);
+      _log(`[CONFLICT] #${memoryId} supersedes #${r.id}: ${r.reason}`);
+    } else if (r.relation === 'contradicts') {
+      insertConflict.run(memoryId, r.id, r.reason || null);
+      insertLink(memoryId, r.id, 'contradicts', r.reason || null);
+      applied.conflicts.push(r.id);
+      _log(`[CONFLICT] #${memoryId} contradicts #${r.id}: ${r.reason}`);
+    }
+  }
+  return applied;
+}
+
+/**
+ * Compare a stored memory with its nearest neighbours and act on the relations
+ * found (the deferred check of a memory saved while the LLM was unavailable;
+ * save() runs the comparison before storing):
+ *   duplicate   - the memory is moved to the trash and the existing one reinforced
+ *   supersedes / contradicts - see applyRelations()
+ * @param {number} memoryId - Memory ID
+ * @param {number[]|null} embedding - Its vector (read from the active space if omitted)
+ * @returns {object} { status: 'checked'|'none'|'unavailable'|'failed', duplicateOf, reason,
+ *   superseded: [ids], conflicts: [ids], promptVersion }
+ */
+async function detectConflicts(memoryId, embedding = null) {
+  const outcome = { status: 'none', duplicateOf: null, reason: null, superseded: [], conflicts: [], promptVersion: null };
+
+  const memory = getMemory(memoryId);
+  const vector = embedding || readVector(memoryId);
+  if (!memory || !vector) return outcome;
+
+  const comparison = await compareWithNeighbours(memory.structured_content || memory.content, vector, {
+    project: memory.project,
+    excludeId: memoryId
+  });
+  outcome.status = comparison.status;
+  outcome.promptVersion = comparison.promptVersion;
+  if (comparison.status !== 'checked') return outcome;
+
+  const duplicate = comparison.relations.find(r => r.relation === 'duplicate');
+  if (duplicate) {
+    reinforceMemory(duplicate.id);
+    deleteMemory(memoryId, { reason: `duplicate of #${duplicate.id}` });
+    // Work still queued for the trashed memory (e.g. its structurize job) is moot
+    getDb().prepare(`
+      UPDATE llm_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE memory_id = ? AND status = 'pending'
+    `).run(memoryId);
+    _log(`[CONFLICT] #${memoryId} duplicate of #${duplicate.id}: ${duplicate.reason}`);
+    return { ...outcome, duplicateOf: duplicate.id, reason: duplicate.reason };
+  }
+
+  return { ...outcome, ...applyRelations(memoryId, comparison.relations) };
+}
+
+/**
+ * Mark a memory as superseded by a newer one (excluded from search unless
+ * includeSuperseded), or clear the mark with supersededBy = null
+ * @returns {boolean} false if either memory is not live
+ */
+function setSuperseded(memoryId, supersededBy) {
+  const database = getDb();
+  if (supersededBy != null) {
+    if (supersededBy === memoryId || !getMemory(supersededBy)) return false;
+  }
+  const result = database.prepare(`
+    UPDATE memories
+    SET superseded_by = ?, superseded_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+    WHERE id = ? AND deleted_at IS NULL
+  `).run(supersededBy, supersededBy, memoryId);
+  if (result.changes === 0) return false;
+
+  // [v6.4] Matching 'supersedes' link
+  database.prepare("DELETE FROM memory_links WHERE to_id = ? AND type = 'supersedes'").run(memoryId);
+  if (supersededBy != null) insertLink(supersededBy, memoryId, 'supersedes');
+  return true;
+}
+
+/**
+ * List contradicting memory pairs, most recent first
+ * @param {object} options - { status: 'open' (default) | 'resolved' | null for all, project, limit }
+ */
+function listConflicts(options = {}) {
+  const database = getDb();
+  const { status = 'open', project, limit = 50 } = options;
+  const scope = project === undefined ? { sql: '1', params: [] } : projectCondition({ project, scope: 'project+global' }, 'a.project');
+  return database.prepare(`
+    SELECT c.id, c.memory_id, c.other_id, c.reason, c.status, c.resolution, c.created_at, c.resolved_at,
+           a.summary as memory_summary, b.summary as other_summary
+    FROM memory_conflicts c
+    JOIN memories a ON a.id = c.memory_id
+    JOIN memories b ON b.id = c.other_id
+    WHERE (? IS NULL OR c.status = ?) AND ${scope.sql}
+    ORDER BY c.id DESC
+    LIMIT ?
+  `).all(status, status, ...scope.params, limit);
+}
+
+/**
+ * Resolve an open contradiction
+ * @param {number} conflictId - Conflict ID
+ * @param {string} resolution - 'keep_new': the newer memory (memory_id) supersedes the other,
+ *   'keep_old': the other supersedes it, 'keep_both': both stay as they are
+ * @returns {object|null} { id, resolution, superseded } or null if there is no such open conflict
+ */
+function resolveConflict(conflictId, resolution) {
+  if (!CONFLICT_RESOLUTIONS.includes(resolution)) throw new Error(`Unknown resolution: ${resolution}`);
+  const database = getDb();
+
+  const conflict = database.prepare("SELECT * FROM memory_conflicts WHERE id = ? AND status = 'open'").get(conflictId);
+  if (!conflict) return null;
+
+  let superseded = null;
+  if (resolution === 'keep_new' && setSuperseded(conflict.other_id, conflict.memory_id)) superseded = conflict.other_id;
+  if (resolution === 'keep_old' && setSuperseded(conflict.memory_id, conflict.other_id)) superseded = conflict.memory_id;
+
+  database.prepare(`
+    UPDATE memory_conflicts SET status = 'resolved', resolution = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(resolution, conflictId);
+  _log(`[CONFLICT] resolved #${conflictId} ${resolution}${superseded ? ` superseded=#${superseded}` : ''}`);
+  return { id: conflictId, resolution, superseded };
+}
+
+// ============== [v6.4] Memory Links ==============
+
+function insertLink(fromId, toId, type, note = null) {
+  return getDb().prepare(`
+    INSERT OR IGNORE INTO memory_links (from_id, to_id, type, note) VALUES (?, ?, ?, ?)
+  `).run(fromId, toId, type, note).changes > 0;
+}
+
+/**
+ * Link two memories (see LINK_TYPES). A 'supersedes' link also marks the
+ * target memory as superseded (setSuperseded).
+ * @param {number} fromId - Memory ID the edge starts at
+ * @param {number} toId - Memory ID it points to
+ * @param {string} type - Link type
+ * @param {object} options - { note }
+ * @returns {boolean} false if the link already exists (either direction for symmetric types)
+ *   or a memory does not exist
+ */
+function addLink(fromId, toId, type, options = {}) {
+  if (!LINK_TYPES.includes(type)) throw new Error(`Unknown link type: ${type}`);
+  if (fromId === toId) throw new Error('A memory cannot be linked to itself');
+  const database = getDb();
+  const { note = null } = options;
+
+  const exists = database.prepare('SELECT 1 FROM memories WHERE id = ?');
+  if (!exists.get(fromId) || !exists.get(toId)) return false;
+
+  if (type === 'supersedes') {
+    if (database.prepare("SELECT 1 FROM memory_links WHERE from_id = ? AND to_id = ? AND type = 'supersedes'").get(fromId, toId)) return false;
+    return setSuperseded(toId, fromId);
+  }
+  if (SYMMETRIC_LINK_TYPES.includes(type) &&
+      database.prepare('SELECT 1 FROM memory_links WHERE from_id = ? AND to_id = ? AND type = ?').get(toId, fromId, type)) {
+    return false;
+  }
+  const created = insertLink(fromId, toId, type, note);
+  if (created) _log(`[LINK] #${fromId} ${type} #${toId}`);
+  return created;
+}
+
+/**
+ * Remove links between two memories (either direction for symmetric types).
+ * Removing a 'supersedes' link clears the superseded mark.
+ * @param {string|null} type - Only links of this type (default: all)
+ * @returns {number} Number of links removed
+ */
+function removeLink(fromId, toId, type = null) {
+  const database = getDb();
+  const links = database.prepare(`
+    SELECT id, from_id, to_id, type FROM memory_links
+    WHERE ((from_id = ? AND to_id = ?) OR (from_id = ? AND to_id = ?)) AND (? IS NULL OR type = ?)
+  `).all(fromId, toId, toId, fromId, type, type)
+    .filter(l => l.from_id === fromId || SYMMETRIC_LINK_TYPES.includes(l.type));
+
+  for (const link of links) {
+    database.prepare('DELETE FROM memory_links WHERE id = ?').run(link.id);
+    if (link.type === 'supersedes') {
+      database.prepare(`
+        UPDATE memories SET superseded_by = NULL, superseded_at = NULL WHERE id = ? AND superseded_by = ?
+      `).run(link.to_id, link.from_id);
+    }
+  }
+  if (links.length > 0) _log(`[UNLINK] #${fromId} #${toId} ${links.map(l => l.type).join(',')}`);
+  return links.length;
+}
+
+/**
+ * Links of a memory
+ * @param {object} options - { direction: 'out' | 'in' | 'both' (default), types: link types (default: all) }
+ * @returns {Array<{id, from_id, to_id, type, note, created_at, direction, other_id}>}
+ */
+function getLinks(memoryId, options = {}) {
+  const { direction = 'both', types = null } = options;
+  const typeList = types ? (Array.isArray(types) ? types : [types]) : null;
+  const rows = getDb().prepare(`
+    SELECT id, from_id, to_id, type, note, created_at FROM memory_links
+    WHERE (from_id = ? AND ? != 'in') OR (to_id = ? AND ? != 'out')
+    ORDER BY id
+  `).all(memoryId, direction, memoryId, direction);
+
+  return rows
+    .filter(l => !typeList || typeList.includes(l.type))
+    .map(l => {
+      const out = l.from_id === memoryId;
+      return { ...l, direction: out ? 'out' : 'in', other_id: out ? l.to_id : l.from_id };
+    });
+}
+
+/**
+ * Memories reachable from a memory along its links (breadth first)
+ * @param {object} options - { depth: hops (default 1), types, includeTrashed, limit }
+ * @returns {Array<{memory, link: {type, direction, note}, via, depth}>}
+ *   memory: { id, summary, type, domain, status }; via: the memory the link was followed from
+ */
+function getNeighbors(memoryId, options = {}) {
+  const { depth = 1, types = null, includeTrashed = false, limit = 50 } = options;
+  const getRow = getDb().prepare('SELECT id, summary, type, domain, deleted_at, superseded_by FROM memories WHERE id = ?');
+
+  const seen = new Set([memoryId]);
+  const neighbors = [];
+  let frontier = [memoryId];
+  for (let hop = 1; hop <= depth && frontier.length > 0 && neighbors.length < limit; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const link of getLinks(id, { types })) {
+        if (seen.has(link.other_id)) continue;
+        const row = getRow.get(link.other_id);
+        if (!row || (row.deleted_at && !includeTrashed)) continue;
+        seen.add(link.other_id);
+        next.push(link.other_id);
+        neighbors.push({
+          memory: {
+            id: row.id,
+            summary: row.summary,
+            type: row.type,
+            domain: row.domain,
+            status: row.deleted_at ? 'trashed' : row.superseded_by != null ? 'superseded' : 'live'
+          },
+          link: { type: link.type, direction: link.direction, note: link.note },
+          via: id,
+          depth: hop
+        });
+        if (neighbors.length >= limit) break;
+      }
+      if (neighbors.length >= limit) break;
+    }
+    frontier = next;
+  }
+  return neighbors;
+}
+
+/**
+ * Search results for the memories one link away from the given hits that
+ * match the search filters and are not hits themselves
+ * @param {object} options - { types, limit }
+ */
+function linkedResults(hits, filters, options = {}) {
+  const { types = null, limit = 3 } = options;
+  const hitIds = new Set(hits.map(r => r.id));
+  const linkedFrom = new Map();  // neighbour id -> { id, type, direction } of its first hit
+  for (const hit of hits) {
+    for (const link of getLinks(hit.id, { types })) {
+      if (hitIds.has(link.other_id) || linkedFrom.has(link.other_id)) continue;
+      linkedFrom.set(link.other_id, { id: hit.id, type: link.type, direction: link.direction });
+    }
+  }
+  if (linkedFrom.size === 0) return [];
+
+  const ids = Array.from(linkedFrom.keys());
+  const filter = buildFilterClause(filters, 'm');
+  const rows = getDb().prepare(`
+    SELECT m.* FROM memories m WHERE m.id IN (${ids.map(() => '?').join(',')}) AND ${filter.sql}
+  `).all(...ids, ...filter.params);
+  const byId = new Map(rows.map(r => [r.id, r]));
+
+  return ids.filter(id => byId.has(id)).slice(0, limit).map(id => {
+    const m = byId.get(id);
+    return {
+      id: m.id,
+      content: m.structured_content || m.content,
+      summary: m.summary,
+      type: m.type,
+      domain: m.domain,
+      project: m.project,
+      confidence: m.confidence,
+      tags: m.tags,
+      createdAt: m.created_at,
+      supersededBy: m.superseded_by,
+      date: m.created_at ? m.created_at.slice(0, 10) : 'unknown',
+      bm25Score: 0,
+      vectorSimilarity: 0,
+      linkedFrom: linkedFrom.get(id)
+    };
+  });
+}
+
+// ============== [v6.4] Pinned Memories ==============
+
+/**
+ * Pin a memory: it is injected at the start of every session in its scope
+ * (see PIN_SCOPES) and exempt from confidence decay and expiry
+ * @param {object} options - { scope: 'project' (default) | 'global' }
+ * @returns {boolean} false if the memory does not exist or is in the trash
+ */
+function pinMemory(memoryId, options = {}) {
+  const { scope = 'project' } = options;
+  if (!PIN_SCOPES.includes(scope)) throw new Error(`Unknown pin scope: ${scope}`);
+  const result = getDb().prepare(`
+    UPDATE memories SET pinned = 1, pin_scope = ?, pinned_at = COALESCE(pinned_at, CURRENT_TIMESTAMP)
+    WHERE id = ? AND deleted_at IS NULL
+  `).run(scope, memoryId);
+  if (result.changes > 0) _log(`[PIN] #${memoryId} scope=${scope}`);
+  return result.changes > 0;
+}
+
+/**
+ * @returns {boolean} false if the memory was not pinned
+ */
+function unpinMemory(memoryId) {
+  const result = getDb().prepare(`
+    UPDATE memories SET pinned = 0, pin_scope = NULL, pinned_at = NULL WHERE id = ? AND pinned = 1
+  `).run(memoryId);
+  if (result.changes > 0) _log(`[UNPIN] #${memoryId}`);
+  return result.changes > 0;
+}
+
+/**
+ * Pinned memories for a session, oldest pin first, within a character budget
+ * (memories that do not fit are left out, so pinned content cannot crowd out search results)
+ * @param {object} options - { project: project key of the session, maxChars (default config.pinned.maxChars) }
+ * @returns {object} { memories: [{ id, type, domain, content, summary, project, pinScope }], omitted, chars }
+ */
+function getPinnedMemories(options = {}) {
+  const { project = null, maxChars = PINNED_MAX_CHARS } = options;
+  const rows = getDb().prepare(`
+    SELECT id, content, structured_content, summary, type, domain, project, pin_scope
+    FROM memories
+    WHERE pinned = 1 AND deleted_at IS NULL AND superseded_by IS NULL
+      AND (pin_scope = 'global' OR project IS NULL OR project = ?)
+    ORDER BY pinned_at, id
+  `).all(project);
+
+  const memories = [];
+  let chars = 0;
+  for (const r of rows) {
+    const content = r.structured_content || r.content;
+    if (chars + content.length > maxChars) continue;
+    chars += content.length;
+    memories.push({ id: r.id, type: r.type, domain: r.domain, content, summary: r.summary, project: r.project, pinScope: r.pin_scope });
+  }
+  return { memories, omitted: rows.length - memories.length, chars };
+}
+
+// ============== [v6.4] Session Start Digest ==============
+
+/**
+ * Rough token count: one token per CJK character, one per 4 other characters
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Compact digest of a project's memories for the start of a session: pinned
+ * memories, then the project's preferences and decisions with the highest
+ * confidence, then its recent bugs. Memories that do not fit in the token
+ * budget are left out, so a lower section only gets what the ones above leave.
+ * @param {object} options - { project, maxTokens, decisions, bugs, bugDays } (defaults: config.sessionStart)
+ * @returns {object} { pinned, decisions, bugs: [{ id, type, domain, content, confidence, date }], omitted, tokens,
+ *   pinnedOmitted: ids of pinned memories within config.pinned.maxChars left out for the token budget }
+ */
+function getSessionDigest(options = {}) {
+  const {
+    project = null,
+    maxTokens = SESSION_DIGEST_CONFIG.maxTokens,
+    decisions: decisionLimit = SESSION_DIGEST_CONFIG.decisions,
+    bugs: bugLimit = SESSION_DIGEST_CONFIG.bugs,
+    bugDays = SESSION_DIGEST_CONFIG.bugDays
+  } = options;
+  const database = getDb();
+  let tokens = 0;
+  let omitted = 0;
+
+  const fit = (items) => {
+    const picked = [];
+    for (const item of items) {
+      const cost = estimateTokens(item.content);
+      if (tokens + cost > maxTokens) { omitted++; continue; }
+      tokens += cost;
+      picked.push(item);
+    }
+    return picked;
+  };
+  const digestItem = (r) => ({
+    id: r.id, type: r.type, domain: r.domain,
+    content: r.structured_content || r.content,
+    confidence: r.confidence,
+    date: r.created_at ? r.created_at.slice(0, 10) : null
+  });
+
+  // Pinned memories also keep their own budget (config.pinned.maxChars)
+  const pinnedMemories = getPinnedMemories({ project, maxChars: PINNED_MAX_CHARS });
+  omitted += pinnedMemories.omitted;
+
+  const decisionRows = database.prepare(`
+    SELECT id, content, structured_content, type, domain, confidence, created_at
+    FROM memories
+    WHERE deleted_at IS NULL AND superseded_by IS NULL AND pinned = 0
+      AND project IS ? AND type IN ('preference', 'decision')
+    ORDER BY confidence DESC, id DESC
+    LIMIT ?
+  `).all(project, decisionLimit);
+
+  const bugRows = database.prepare(`
+    SELECT id, content, structured_content, type, domain, confidence, created_at
+    FROM memories
+    WHERE deleted_at IS NULL AND superseded_by IS NULL AND pinned = 0
+      AND project IS ? AND type = 'bug' AND created_at >= datetime('now', ?)
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(project, `-${bugDays} days`, bugLimit);
+
+  const pinned = fit(pinnedMemories.memories.map(m => ({
+    id: m.id, type: m.type, domain: m.domain, content: m.content, confidence: null, date: null
+  })));
+  const pinnedIds = new Set(pinned.map(m => m.id));
+  const pinnedOmitted = pinnedMemories.memories.filter(m => !pinnedIds.has(m.id)).map(m => m.id);
+  const decisions = fit(decisionRows.map(digestItem));
+  const bugs = fit(bugRows.map(digestItem));
+  return { pinned, decisions, bugs, omitted, tokens, pinnedOmitted };
+}
+
+// ============== [v6.4] Deferred LLM Jobs ==============
+
+/**
+ * Queue LLM work that could not be done now (LLM server down or failing).
+ * The embedding server runs due jobs once the LLM is available again
+ * (see lib/job-worker.js).
+ * @param {string} kind - 'structurize' | 'merge' | 'analyze' | 'compare'
+ * @param {object|null} payload - Job input, stored as JSON
+ * @param {object} options - { memoryId: memory the job updates }
+ * @returns {number} Job ID (an unfinished job of the same kind for the memory is reused)
+ */
+function enqueueJob(kind, payload, options = {}) {
+  if (!JOB_KINDS.includes(kind)) throw new Error(`Unknown job kind: ${kind}`);
+  const database = getDb();
+  const { memoryId = null } = options;
+
+  if (memoryId != null) {
+    const existing = database.prepare(`
+      SELECT id FROM llm_jobs WHERE kind = ? AND memory_id = ? AND status IN ('pending', 'running')
+    `).get(kind, memoryId);
+    if (existing) return existing.id;
+  }
+
+  const result = database.prepare(`
+    INSERT INTO llm_jobs (kind, memory_id, payload) VALUES (?, ?, ?)
+  `).run(kind, memoryId, payload == null ? null : JSON.stringify(payload));
+  const jobId = Number(result.lastInsertRowid);
+  _log(`[JOB] queued #${jobId} kind=${kind}${memoryId != null ? ` memory=#${memoryId}` : ''}`);
+  return jobId;
+}
+
+/**
+ * List jobs, most recent first (payloads are not included)
+ * @param {object} options - { status, kind, limit }
+ */
+function listJobs(options = {}) {
+  const database = getDb();
+  const { status = null, kind = null, limit = 50 } = options;
+  return database.prepare(`
+    SELECT id, kind, memory_id, status, attempts, last_error, next_run_at, created_at, updated_at
+    FROM llm_jobs
+    WHERE (? IS NULL OR status = ?) AND (? IS NULL OR kind = ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(status, status, kind, kind, limit);
+}
+
+/**
+ * Cancel a pending job
+ * @returns {boolean} false if the job does not exist or is not pending
+ */
+function cancelJob(jobId) {
+  const database = getDb();
+  const result = database.prepare(`
+    UPDATE llm_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `).run(jobId);
+  if (result.changes > 0) _log(`[JOB] cancelled #${jobId}`);
+  return result.changes > 0;
+}
+
+/**
+ * Whether a pending job is due
+ */
+function hasDueJobs() {
+  const database = getDb();
+  return !!database.prepare(`
+    SELECT 1 FROM llm_jobs WHERE status = 'pending' AND next_run_at <= CURRENT_TIMESTAMP LIMIT 1
+  `).get();
+}
+
+/**
+ * Take the oldest due job and mark it running
+ * @returns {object|null} Job row with its payload parsed
+ */
+function claimJob() {
+  const database = getDb();
+  const claim = database.transaction(() => {
+    const job = database.prepare(`
+      SELECT * FROM llm_jobs WHERE status = 'pending' AND next_run_at <= CURRENT_TIMESTAMP
+      ORDER BY next_run_at, id LIMIT 1
+    `).get();
+    if (!job) return null;
+    database.prepare(`
+      UPDATE llm_jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(job.id);
+    return { ...job, status: 'running', attempts: job.attempts + 1 };
+  });
+
+  const job = claim.immediate();
+  if (!job) return null;
+  try {
+    job.payload = job.payload ? JSON.parse(job.payload) : null;
+  } catch (e) {
+    job.payload = null;
+  }
+  return job;
+}
+
+/**
+ * Mark a running job done
+ */
+function completeJob(jobId, result = null) {
+  const database = getDb();
+  database.prepare(`
+    UPDATE llm_jobs SET status = 'done', result = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(result == null ? null : JSON.stringify(result), jobId);
+  _log(`[JOB] done #${jobId} result=${_str(result)}`);
+}
+
+/**
+ * Record a failed attempt: retry later with exponential backoff, or mark
+ * the job failed after config.jobs.maxAttempts attempts
+ * @returns {string} New status: 'pending' | 'failed'
+ */
+function failJob(jobId, error) {
+  const database = getDb();
+  const job = database.prepare('SELECT attempts FROM llm_jobs WHERE id = ?').get(jobId);
+  if (!job) return 'failed';
+
+  const status = job.attempts >= JOB_CONFIG.maxAttempts ? 'failed' : 'pending';
+  const delaySeconds = Math.round(JOB_CONFIG.retryDelayMs * 2 ** Math.max(0, job.attempts - 1) / 1000);
+  database.prepare(`
+    UPDATE llm_jobs
+    SET status = ?, last_error = ?, next_run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, error, `+${delaySeconds} seconds`, jobId);
+  _log(`[JOB] ${status === 'failed' ? 'failed' : 'retry'} #${jobId} attempts=${job.attempts} error=${error}`);
+  return status;
+}
+
+/**
+ * Worker startup: requeue jobs left running by a process that died, and
+ * prune finished jobs older than config.jobs.keepDays
+ * @returns {object} { requeued, pruned }
+ */
+function recoverJobs() {
+  const database = getDb();
+  const requeued = database.prepare(`
+    UPDATE llm_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'
+  `).run().changes;
+  const pruned = database.prepare(`
+    DELETE FROM llm_jobs WHERE status IN ('done', 'cancelled', 'failed') AND updated_at <= datetime('now', ?)
+  `).run(`-${Number(JOB_CONFIG.keepDays)} days`).changes;
+  if (requeued > 0 || pruned > 0) _log(`[JOB] recovered requeued=${requeued} pruned=${pruned}`);
+  return { requeued, pruned };
+}
+
+/**
+ * Number of jobs per status
+ */
+function getJobCounts() {
+  const database = getDb();
+  const rows = database.prepare('SELECT status, COUNT(*) as count FROM llm_jobs GROUP BY status').all();
+  return Object.fromEntries(rows.map(r => [r.status, r.count]));
+}
+
+// ============== Utility Functions ==============
+
+function extractKeywords(text) {
+  const words = text
+    .replace(/[^\w\s\u4e00-\u9fff]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w.toLowerCase()));
+
+  // Count word frequency
+  const freq = {};
+  for (const w of words) {
+    freq[w] = (freq[w] || 0) + 1;
+  }
+
+  return Object.entries(freq)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([word]) => word);
 }
 
 function cosineSimilarity(a, b) {
@@ -1164,65 +3157,109 @@ function cosineSimilarity(a, b) {
 function getStats() {
   const database = getDb();
 
-  const totalMemories = database.prepare('SELECT COUNT(*) as count FROM memories').get().count;
-  const byType = database.prepare('SELECT type, COUNT(*) as count FROM memories GROUP BY type').all();
-  const byDomain = database.prepare('SELECT domain, COUNT(*) as count FROM memories GROUP BY domain').all();
+  const totalMemories = database.prepare('SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NULL').get().count;
+  const trashedMemories = database.prepare('SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NOT NULL').get().count;
+  const byType = database.prepare('SELECT type, COUNT(*) as count FROM memories WHERE deleted_at IS NULL GROUP BY type').all();
+  const byDomain = database.prepare('SELECT domain, COUNT(*) as count FROM memories WHERE deleted_at IS NULL GROUP BY domain').all();
+  const byProject = database.prepare('SELECT project, COUNT(*) as count FROM memories WHERE deleted_at IS NULL GROUP BY project').all();
   const totalClusters = database.prepare('SELECT COUNT(*) as count FROM clusters').get().count;
   const matureClusters = database.prepare("SELECT COUNT(*) as count FROM clusters WHERE status = 'mature'").get().count;
+  const supersededMemories = database.prepare('SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NULL AND superseded_by IS NOT NULL').get().count;
+  const openConflicts = database.prepare("SELECT COUNT(*) as count FROM memory_conflicts WHERE status = 'open'").get().count;
+  const pinnedMemories = database.prepare('SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NULL AND pinned = 1').get().count;
 
   return {
     totalMemories,
+    trashedMemories,
     byType: Object.fromEntries(byType.map(r => [r.type, r.count])),
     byDomain: Object.fromEntries(byDomain.map(r => [r.domain, r.count])),
+    byProject: Object.fromEntries(byProject.map(r => [r.project || 'global', r.count])),
     totalClusters,
     matureClusters,
-    version: '6.1'
+    supersededMemories,
+    openConflicts,
+    pinnedMemories,
+    embedding: getEmbeddingStatus(),
+    jobs: getJobCounts(),
+    version: '6.4'
   };
 }
 
 /**
- * Rebuild embeddings for all memories (using structured_content + domain)
+ * Rebuild embeddings (using structured_content + domain) into a shadow space
+ * that replaces the active one only once complete; an interrupted rebuild
+ * resumes from the vectors already written.
+ * If config.embedding changed, finishes the pending re-embed into the new space.
+ * @param {object} options - { filter: { domain, project, fromId, toId }, batchSize,
+ *   restart: discard a pending rebuild, onProgress(step) }
+ * @returns {object} { success, space, resumed, rebuilt, failed: [{ id, error }], remaining }
  */
-async function rebuildAllEmbeddings() {
+async function rebuildAllEmbeddings(options = {}) {
+  const { filter = null, batchSize = 50, restart = false, onProgress } = options;
   const database = getDb();
-  const rows = database.prepare('SELECT id, content, structured_content, domain FROM memories').all();
-  console.log(`[memory-db] Rebuilding embeddings for ${rows.length} memories...`);
 
-  // Rebuild vector table (drop old table, recreate with cosine distance)
-  try {
-    database.exec('DROP TABLE IF EXISTS memories_vec');
-    database.exec(`
-      CREATE VIRTUAL TABLE memories_vec USING vec0(
-        embedding float[${config.embedding.dimensions}] distance_metric=cosine
-      )
-    `);
-  } catch (e) {
-    console.error('[memory-db] Failed to recreate memories_vec:', e.message);
-    return { success: false, error: e.message };
+  const active = getActiveSpace();
+  if (!active) {
+    return { success: false, error: 'sqlite-vec not available' };
   }
 
-  let success = 0;
-  let failed = 0;
-  for (const row of rows) {
-    const text = buildEmbeddingText(row.structured_content || row.content, row.domain);
-    const embedding = await getEmbedding(text);
-    if (embedding) {
+  let target = getTargetSpace();
+  if (target && restart) {
+    database.transaction(() => retireSpace(target)).immediate();
+    syncEmbeddingSpaces();
+    target = getTargetSpace();
+  }
+  const resumed = !!target;
+  if (!target) {
+    const wanted = configuredSpace();
+    const subset = filter && Object.keys(filter).length > 0 ? filter : null;
+    database.transaction(() => registerSpace(wanted, null, 'building', subset)).immediate();
+    target = getTargetSpace();
+    _log(`[EMBED-SPACE] rebuild of ${wanted.key} started${subset ? ` filter=${JSON.stringify(subset)}` : ''}`);
+  }
+
+  let rebuilt = 0;
+  for (;;) {
+    const step = await reembedStep({ batchSize });
+    rebuilt += step.embedded || 0;
+    if (onProgress) onProgress({ ...step, rebuilt });
+    if (step.status === 'running') continue;
+
+    // Includes memories given up on during an earlier run
+    const failed = database.prepare(`
+      SELECT memory_id as id, error FROM embedding_failures WHERE space_id = ? ORDER BY memory_id
+    `).all(target.id);
+    if (step.status === 'error') {
+      return { success: false, error: 'embedding model unavailable', space: target.space_key, resumed, rebuilt, failed, remaining: step.remaining };
+    }
+    return { success: true, space: target.space_key, resumed, rebuilt, failed, remaining: 0 };
+  }
+}
+
+/**
+ * Rebuild the FTS index from the live memories in one transaction
+ * @returns {object} { indexed, total, failed: [{ id, error }] }
+ */
+function rebuildFtsIndex() {
+  const database = getDb();
+  const rows = database.prepare('SELECT id, content, structured_content, summary, tags, keywords FROM memories WHERE deleted_at IS NULL').all();
+  const insert = database.prepare(
+    'INSERT INTO memories_fts(rowid, content, structured_content, summary, tags, keywords) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const failed = [];
+
+  database.transaction(() => {
+    database.prepare('DELETE FROM memories_fts').run();
+    for (const r of rows) {
       try {
-        database.prepare('INSERT INTO memories_vec (rowid, embedding) VALUES (?, ?)').run(BigInt(row.id), JSON.stringify(embedding));
-        success++;
+        insert.run(r.id, tokenize(r.content || ''), tokenize(r.structured_content || ''), tokenize(r.summary || ''), tokenize(r.tags || ''), tokenize(r.keywords || ''));
       } catch (e) {
-        failed++;
+        failed.push({ id: r.id, error: e.message });
       }
-    } else {
-      failed++;
-    }
-    if ((success + failed) % 10 === 0) {
-      console.log(`[memory-db] Progress: ${success + failed}/${rows.length}`);
     }
-  }
+  }).immediate();
 
-  console.log(`[memory-db] Rebuild complete: ${success} success, ${failed} failed`);
-  return { success: true, rebuilt: success, failed };
+  return { indexed: rows.length - failed.length, total: rows.length, failed };
 }
 
 // ============== Exports ==============
@@ -1231,34 +3268,90 @@ module.exports = {
   // Database
   getDb,
   closeDb,
+  migrateSchema,
 
   // Core functions
   save,
   search,
   quickSearch,
 
+  getMemory,
+
   // Confidence management
   autoBoostConfidence,
   markMemoriesUsed,
   deleteMemory,
   validateMemory,
 
+  // [v6.4] Trash bin
+  restoreMemory,
+  listTrash,
+  purgeTrash,
+  runMaintenance,
+
+  // [v6.4] Editing and revisions
+  updateMemory,
+  getMemoryRevisions,
+  diffMemoryRevisions,
+  rollbackMemory,
+
   // Clustering and merging
   autoCluster,
   inferClusterTheme,
   tryJoinCluster,
   getMatureClusters,
   mergeClusterMemories,
+  unmergeCluster,
+  getProvenance,
+
+  // [v6.4] Memory links
+  addLink,
+  removeLink,
+  getLinks,
+  getNeighbors,
+
+  // [v6.4] Contradiction and supersession
+  compareWithNeighbours,
+  detectConflicts,
+  setSuperseded,
+  listConflicts,
+  resolveConflict,
+
+  // [v6.4] Pinned memories
+  pinMemory,
+  unpinMemory,
+  getPinnedMemories,
+  getSessionDigest,
+
+  // [v6.4] Deferred LLM jobs
+  enqueueJob,
+  listJobs,
+  cancelJob,
+  hasDueJobs,
+  claimJob,
+  completeJob,
+  failJob,
+  recoverJobs,
+  getJobCounts,
 
   // Embeddings
   getEmbedding,
   warmupEmbedding,
   buildEmbeddingText,
   rebuildAllEmbeddings,
+  rebuildFtsIndex,
+  reembedStep,
+  getEmbeddings,
+  findSpace,
+  setEmbeddingDelegation,
+  setQueryEmbeddingCache,
+  getDataVersion,
+  getEmbeddingStatus,
 
   // [v4.5] LLM structuring
   structurizeWithLLM,
   formatStructuredContent,
+  mergedMemoryFields,
 
   // Utilities
   tokenize,
@@ -1267,8 +3360,19 @@ module.exports = {
   getStats,
 
   // Configuration
+  SEARCH_SCOPES,
+  SEARCH_FILTERS,
+  FUSION_STRATEGIES: scoring.FUSION_STRATEGIES,
   CLUSTER_SIMILARITY_THRESHOLD,
   CLUSTER_MATURITY_COUNT,
   STRUCTURIZE_CONFIG,
-  CLUSTER_MATURITY_CONFIDENCE
+  CLUSTER_MATURITY_CONFIDENCE,
+  CONFLICT_CONFIG,
+  CONFLICT_RESOLUTIONS,
+  LINK_TYPES,
+  PIN_SCOPES,
+  PINNED_MAX_CHARS,
+  SESSION_DIGEST_CONFIG,
+  JOB_KINDS,
+  JOB_CONFIG
 };
@@ -0,0 +1,461 @@
+/**
+ * Schema migrations for memory.db
+ *
+ * Every migration has a unique, increasing version and an up(db, ctx) step.
+ * Applied versions are recorded in the schema_version table; pending steps run
+ * in order, each in its own IMMEDIATE transaction, so a failing step leaves the
+ * database at the previous version and concurrent processes (hooks, servers)
+ * never apply the same step twice.
+ *
+ * Databases created before this framework existed were evolved with ad-hoc
+ * ALTER TABLE statements, so steps inspect the current schema instead of
+ * assuming it (CREATE ... IF NOT EXISTS, addColumn only when missing).
+ *
+ * To change the schema, append a new entry to MIGRATIONS. Never edit or
+ * reorder a migration that has already shipped.
+ */
+
+// ============== Schema Helpers ==============
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE name = ? AND type IN ('table', 'view')").get(name);
+}
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// ============== Migrations ==============
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    description: 'memories, memories_fts and clusters tables with their indexes',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          structured_content TEXT,
+          summary TEXT,
+          type TEXT DEFAULT 'context',
+          tags TEXT,
+          keywords TEXT,
+          domain TEXT DEFAULT 'general',
+          confidence REAL DEFAULT 0.5,
+          evidence_count INTEGER DEFAULT 0,
+          cluster_id INTEGER,
+          source TEXT,
+          trigger TEXT,
+          action TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_accessed_at DATETIME,
+          access_count INTEGER DEFAULT 0,
+          FOREIGN KEY (cluster_id) REFERENCES clusters(id)
+        )
+      `);
+
+      // Standalone FTS table, managed manually via ftsInsert/ftsDelete for jieba tokenization
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+          content, structured_content, summary, tags, keywords
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS clusters (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          theme TEXT NOT NULL,
+          centroid_id INTEGER,
+          centroid_vector TEXT,
+          member_count INTEGER DEFAULT 0,
+          avg_confidence REAL DEFAULT 0.5,
+          domain TEXT DEFAULT 'general',
+          status TEXT DEFAULT 'growing',
+          evolved_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type);
+        CREATE INDEX IF NOT EXISTS idx_memories_domain ON memories(domain);
+        CREATE INDEX IF NOT EXISTS idx_memories_confidence ON memories(confidence);
+        CREATE INDEX IF NOT EXISTS idx_memories_cluster_id ON memories(cluster_id);
+        CREATE INDEX IF NOT EXISTS idx_clusters_status ON clusters(status);
+      `);
+
+      // Old FTS sync triggers (replaced by manual FTS management)
+      db.exec(`
+        DROP TRIGGER IF EXISTS memories_ai;
+        DROP TRIGGER IF EXISTS memories_ad;
+        DROP TRIGGER IF EXISTS memories_au;
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'structured-content',
+    description: 'add memories.structured_content (databases from before v4.5)',
+    up(db) {
+      addColumn(db, 'memories', 'structured_content', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'standalone-fts',
+    description: 'rebuild an external-content memories_fts as a standalone, tokenized index',
+    up(db, ctx) {
+      const row = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'memories_fts'").get();
+      if (row && !/\bcontent\s*=/i.test(row.sql || '')) return;
+
+      db.exec('DROP TABLE IF EXISTS memories_fts');
+      db.exec(`
+        CREATE VIRTUAL TABLE memories_fts USING fts5(
+          content, structured_content, summary, tags, keywords
+        )
+      `);
+
+      const rows = db.prepare('SELECT id, content, structured_content, summary, tags, keywords FROM memories').all();
+      const insertFts = db.prepare('INSERT INTO memories_fts(rowid, content, structured_content, summary, tags, keywords) VALUES (?, ?, ?, ?, ?, ?)');
+      for (const r of rows) {
+        insertFts.run(r.id, ctx.tokenize(r.content || ''), ctx.tokenize(r.structured_content || ''), ctx.tokenize(r.summary || ''), ctx.tokenize(r.tags || ''), ctx.tokenize(r.keywords || ''));
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'project-scoping',
+    description: 'add memories.project and clusters.project (NULL = global)',
+    up(db) {
+      addColumn(db, 'memories', 'project', 'TEXT');
+      addColumn(db, 'clusters', 'project', 'TEXT');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memories_project ON memories(project)');
+    }
+  },
+  {
+    version: 5,
+    name: 'memory-revisions',
+    description: 'memory_revisions table holding prior versions of edited memories',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id INTEGER NOT NULL,
+          revision INTEGER NOT NULL,
+          content TEXT,
+          structured_content TEXT,
+          summary TEXT,
+          type TEXT,
+          domain TEXT,
+          tags TEXT,
+          keywords TEXT,
+          confidence REAL,
+          project TEXT,
+          reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (memory_id, revision)
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'soft-delete',
+    description: 'add memories.deleted_at / deleted_reason (trash bin)',
+    up(db) {
+      addColumn(db, 'memories', 'deleted_at', 'DATETIME');
+      addColumn(db, 'memories', 'deleted_reason', 'TEXT');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memories_deleted_at ON memories(deleted_at)');
+    }
+  },
+  {
+    version: 7,
+    name: 'memory-lineage',
+    description: 'memory_lineage table linking cluster-merge memories to their sources',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_lineage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id INTEGER NOT NULL,
+          source_id INTEGER NOT NULL,
+          cluster_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (memory_id, source_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_memory_lineage_source_id ON memory_lineage(source_id);
+        CREATE INDEX IF NOT EXISTS idx_memory_lineage_cluster_id ON memory_lineage(cluster_id);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'confidence-decay',
+    description: 'add memories.decayed_at (last maintenance decay pass)',
+    up(db) {
+      addColumn(db, 'memories', 'decayed_at', 'DATETIME');
+    }
+  },
+  {
+    version: 9,
+    name: 'embedding-spaces',
+    description: 'embedding_spaces (model/dimensions per vector table) and memory_embeddings metadata',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS embedding_spaces (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          space_key TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          options TEXT,
+          vec_table TEXT NOT NULL,
+          status TEXT DEFAULT 'building',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          activated_at DATETIME
+        );
+        CREATE INDEX IF NOT EXISTS idx_embedding_spaces_status ON embedding_spaces(status);
+
+        CREATE TABLE IF NOT EXISTS memory_embeddings (
+          memory_id INTEGER NOT NULL,
+          space_id INTEGER NOT NULL,
+          embedded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (memory_id, space_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_memory_embeddings_space_id ON memory_embeddings(space_id);
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'embedding-rebuild',
+    description: 'embedding_spaces.rebuild_filter and embedding_failures for resumable vector rebuilds',
+    up(db) {
+      addColumn(db, 'embedding_spaces', 'rebuild_filter', 'TEXT');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS embedding_failures (
+          space_id INTEGER NOT NULL,
+          memory_id INTEGER NOT NULL,
+          error TEXT,
+          attempts INTEGER DEFAULT 0,
+          last_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (space_id, memory_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'memory-chunks',
+    description: 'memory_chunks: per-chunk vectors of long memories (vectors in <vec_table>_chunkvec)',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id INTEGER NOT NULL,
+          space_id INTEGER NOT NULL,
+          chunk_index INTEGER NOT NULL,
+          start_offset INTEGER NOT NULL,
+          end_offset INTEGER NOT NULL,
+          text TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_memory_chunks_memory ON memory_chunks(memory_id, space_id);
+        CREATE INDEX IF NOT EXISTS idx_memory_chunks_space ON memory_chunks(space_id);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'llm-jobs',
+    description: 'llm_jobs: structurize / merge / analyze work deferred while the LLM was unavailable',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          kind TEXT NOT NULL,
+          memory_id INTEGER,
+          payload TEXT,
+          status TEXT DEFAULT 'pending',
+          attempts INTEGER DEFAULT 0,
+          last_error TEXT,
+          result TEXT,
+          next_run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_llm_jobs_status ON llm_jobs(status, next_run_at);
+        CREATE INDEX IF NOT EXISTS idx_llm_jobs_memory_id ON llm_jobs(memory_id);
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'prompt-version',
+    description: 'add memories.prompt_version / memory_revisions.prompt_version (LLM prompt template that produced the structured content)',
+    up(db) {
+      addColumn(db, 'memories', 'prompt_version', 'TEXT');
+      addColumn(db, 'memory_revisions', 'prompt_version', 'TEXT');
+    }
+  },
+  {
+    version: 14,
+    name: 'memory-conflicts',
+    description: 'memories.superseded_by / superseded_at and memory_conflicts (contradictions awaiting review)',
+    up(db) {
+      addColumn(db, 'memories', 'superseded_by', 'INTEGER');
+      addColumn(db, 'memories', 'superseded_at', 'DATETIME');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_memories_superseded_by ON memories(superseded_by);
+        CREATE TABLE IF NOT EXISTS memory_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id INTEGER NOT NULL,
+          other_id INTEGER NOT NULL,
+          reason TEXT,
+          status TEXT DEFAULT 'open',
+          resolution TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          resolved_at DATETIME,
+          UNIQUE (memory_id, other_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_memory_conflicts_status ON memory_conflicts(status);
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'memory-links',
+    description: 'memory_links table (typed edges between memories), backfilled from lineage, supersession and conflicts',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_id INTEGER NOT NULL,
+          to_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (from_id, to_id, type)
+        );
+        CREATE INDEX IF NOT EXISTS idx_memory_links_to_id ON memory_links(to_id);
+
+        INSERT OR IGNORE INTO memory_links (from_id, to_id, type, created_at)
+          SELECT memory_id, source_id, 'derived-from', created_at FROM memory_lineage;
+        INSERT OR IGNORE INTO memory_links (from_id, to_id, type, created_at)
+          SELECT superseded_by, id, 'supersedes', COALESCE(superseded_at, CURRENT_TIMESTAMP)
+          FROM memories WHERE superseded_by IS NOT NULL;
+        INSERT OR IGNORE INTO memory_links (from_id, to_id, type, note, created_at)
+          SELECT memory_id, other_id, 'contradicts', reason, created_at FROM memory_conflicts;
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'pinned-memories',
+    description: 'memories.pinned / pin_scope / pinned_at (memories injected into every session)',
+    up(db) {
+      addColumn(db, 'memories', 'pinned', 'INTEGER DEFAULT 0');
+      addColumn(db, 'memories', 'pin_scope', 'TEXT');
+      addColumn(db, 'memories', 'pinned_at', 'DATETIME');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memories_pinned ON memories(pinned)');
+    }
+  },
+  {
+    version: 17,
+    name: 'folded-lineage',
+    description: 'memory_lineage.folded (cluster folded into a memory that existed before the merge) + backfill from derived-from links',
+    up(db) {
+      addColumn(db, 'memory_lineage', 'folded', 'INTEGER DEFAULT 0');
+      // Folded merges used to record only a derived-from link ("cluster #N") and
+      // trash the members with "merged into #X (duplicate)"
+      db.exec(`
+        INSERT OR IGNORE INTO memory_lineage (memory_id, source_id, cluster_id, folded, created_at)
+        SELECT l.from_id, l.to_id, CAST(substr(l.note, 10) AS INTEGER), 1, l.created_at
+        FROM memory_links l
+        JOIN memories m ON m.id = l.to_id
+        WHERE l.type = 'derived-from' AND l.note LIKE 'cluster #%'
+          AND m.deleted_reason = 'merged into #' || l.from_id || ' (duplicate)';
+      `);
+    }
+  }
+];
+
+// ============== Runner ==============
+
+/**
+ * Get the current schema version (0 for a database that was never migrated)
+ */
+function getSchemaVersion(db) {
+  if (!tableExists(db, 'schema_version')) return 0;
+  return db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+}
+
+/**
+ * Bring a database up to the latest schema version
+ * @param {object} db - better-sqlite3 connection
+ * @param {object} options
+ *   - dryRun: only report pending migrations, change nothing (default false)
+ *   - tokenize: FTS tokenizer, needed by migrations that reindex content
+ *   - log: optional logger for applied steps
+ * @returns {object} Report { fromVersion, toVersion, targetVersion, applied, pending, dryRun }
+ */
+function migrate(db, options = {}) {
+  const { dryRun = false, tokenize = (t) => t || '', log = () => {} } = options;
+  const targetVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const fromVersion = getSchemaVersion(db);
+  const describe = m => ({ version: m.version, name: m.name, description: m.description });
+
+  const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+  if (dryRun || pending.length === 0) {
+    return { fromVersion, toVersion: fromVersion, targetVersion, applied: [], pending: pending.map(describe), dryRun };
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const ctx = { tokenize };
+  const applied = [];
+  for (const m of pending) {
+    const apply = db.transaction(() => {
+      // Another process may have applied it while we were waiting for the lock
+      if (getSchemaVersion(db) >= m.version) return false;
+      m.up(db, ctx);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(m.version, m.name);
+      return true;
+    });
+
+    try {
+      if (apply.immediate()) {
+        applied.push(describe(m));
+        log(`[MIGRATE] applied #${m.version} ${m.name}`);
+      }
+    } catch (e) {
+      log(`[MIGRATE-ERR] #${m.version} ${m.name} error=${e.message}`);
+      throw new Error(`Migration #${m.version} (${m.name}) failed: ${e.message}`);
+    }
+  }
+
+  return { fromVersion, toVersion: getSchemaVersion(db), targetVersion, applied, pending: [], dryRun };
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrate,
+  getSchemaVersion,
+  tableExists,
+  hasColumn,
+  addColumn
+};
@@ -0,0 +1,150 @@
+/**
+ * Prompt templates for services/llm-server.js
+ *
+ * System prompts live in prompts/<name>.md: an optional front matter block
+ * with the template version, then the prompt text with {{variable}}
+ * placeholders. Shared values (domain list, per-type field rules) come from
+ * prompts/variables.json.
+ *
+ * A project can override any of these files in <project>/.claude/memory-prompts/
+ * (variables.json is merged key by key over the default one). Every rendered
+ * prompt carries a version, "<name>@<version>" with a "+project" suffix for
+ * overrides, which is stored on the memories it produced.
+ *
+ * Files are re-read when they change, so edits apply without a server restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { resolveProject } = require('./utils');
+
+const PROMPTS_DIR = config.prompts?.dir ?? path.resolve(__dirname, '..', 'prompts');
+const PROJECT_PROMPTS_DIR = path.join('.claude', 'memory-prompts');
+
+const TEMPLATE_NAMES = ['structurize', 'merge', 'analyze-session', 'compare'];
+
+// path -> { mtimeMs, value }
+const fileCache = new Map();
+
+/**
+ * Read and parse a file, cached until its mtime changes
+ * @returns {*} Parsed value, or null if the file does not exist
+ */
+function readCached(filePath, parse) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    fileCache.delete(filePath);
+    return null;
+  }
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.value;
+  const value = parse(fs.readFileSync(filePath, 'utf8'), filePath);
+  fileCache.set(filePath, { mtimeMs: stat.mtimeMs, value });
+  return value;
+}
+
+/**
+ * Split a template file into its front matter fields and body
+ */
+function parseTemplate(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const field = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+      if (field) meta[field[1]] = field[2];
+    }
+  }
+  return { version: meta.version || '0', body: (match ? text.slice(match[0].length) : text).trim() };
+}
+
+function parseJson(text, filePath) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid prompt variables in ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Override directory of a project. The project key comes from the client, so
+ * only absolute paths without '..' segments are accepted, resolved to the
+ * project root the hooks would use.
+ */
+function projectDir(project) {
+  if (!project) return null;
+  if (typeof project !== 'string' || !path.isAbsolute(project) || project.split(/[\\/]/).includes('..')) {
+    throw new Error(`Invalid project path: ${project}`);
+  }
+  return path.join(resolveProject(project), PROJECT_PROMPTS_DIR);
+}
+
+/**
+ * Template file for a name, preferring the project override
+ * @returns {object} { version, body, file, overridden }
+ */
+function loadTemplate(name, project = null) {
+  if (!TEMPLATE_NAMES.includes(name)) throw new Error(`Unknown prompt template: ${name}`);
+
+  const dir = projectDir(project);
+  if (dir) {
+    const file = path.join(dir, `${name}.md`);
+    const template = readCached(file, parseTemplate);
+    if (template) return { ...template, file, overridden: true };
+  }
+
+  const file = path.join(PROMPTS_DIR, `${name}.md`);
+  const template = readCached(file, parseTemplate);
+  if (!template) throw new Error(`Prompt template not found: ${file}`);
+  return { ...template, file, overridden: false };
+}
+
+/**
+ * Default variables.json merged with the project's
+ */
+function loadVariables(project = null) {
+  const defaults = readCached(path.join(PROMPTS_DIR, 'variables.json'), parseJson) || {};
+  const dir = projectDir(project);
+  const overrides = dir ? readCached(path.join(dir, 'variables.json'), parseJson) : null;
+  return { ...defaults, ...overrides };
+}
+
+/**
+ * Replace {{name}} placeholders; arrays are joined with '/'
+ */
+function render(body, vars, file = 'template') {
+  return body.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => {
+    const value = vars[name];
+    if (value === undefined || value === null) {
+      throw new Error(`Unknown variable ${placeholder} in ${file}`);
+    }
+    return Array.isArray(value) ? value.join('/') : String(value);
+  });
+}
+
+/**
+ * Render a prompt template
+ * @param {string} name - 'structurize' | 'merge' | 'analyze-session' | 'compare'
+ * @param {object} vars - Request values, on top of variables.json
+ * @param {object} options - { project: project key (absolute path) whose overrides apply }
+ * @returns {object} { text, version, file }
+ */
+function renderPrompt(name, vars = {}, options = {}) {
+  const { project = null } = options;
+  const template = loadTemplate(name, project);
+  const text = render(template.body, { ...loadVariables(project), ...vars }, template.file);
+  const version = `${name}@${template.version}${template.overridden ? '+project' : ''}`;
+  return { text, version, file: template.file };
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  PROJECT_PROMPTS_DIR,
+  TEMPLATE_NAMES,
+  parseTemplate,
+  loadVariables,
+  renderPrompt
+};
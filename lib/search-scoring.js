@@ -0,0 +1,127 @@
+/**
+ * Hybrid search scoring - fuses BM25 and vector results into combinedScore
+ *
+ * Fusion strategies:
+ *   rrf      - Reciprocal Rank Fusion: sum of weight / (rrfK + rank) per signal;
+ *              only ranks matter, so raw BM25 magnitudes need no calibration
+ *   weighted - weighted sum of vector similarity and BM25 scaled by the best BM25
+ *              score in the candidate set
+ *   vector   - vector similarity only
+ *   bm25     - BM25 only
+ *
+ * The fused score is then scaled by optional confidence and recency factors:
+ *   score * (1 - w + w * factor), so a weight of 0 disables the factor.
+ *
+ * Defaults come from config.search; every setting can be overridden per call.
+ */
+
+const config = require('../config');
+
+const FUSION_STRATEGIES = ['rrf', 'weighted', 'vector', 'bm25'];
+
+/**
+ * Merge per-call options over config.search defaults
+ * @param {object} options - Any of { fusion, weights: { vector, bm25 }, rrfK, confidenceWeight, recencyWeight }
+ */
+function resolveScoring(options = {}) {
+  const defaults = config.search || {};
+  const fusion = options.fusion || defaults.fusion || 'weighted';
+  if (!FUSION_STRATEGIES.includes(fusion)) {
+    throw new Error(`Unknown fusion strategy: ${fusion} (expected one of ${FUSION_STRATEGIES.join(', ')})`);
+  }
+  return {
+    fusion,
+    weights: { vector: 0.7, bm25: 0.3, ...defaults.weights, ...options.weights },
+    rrfK: options.rrfK ?? defaults.rrfK ?? 60,
+    confidenceWeight: options.confidenceWeight ?? defaults.confidenceWeight ?? 0,
+    recencyWeight: options.recencyWeight ?? defaults.recencyWeight ?? 0.2
+  };
+}
+
+/**
+ * 1-based ranks of candidates that have a positive value for `key`
+ */
+function rankBy(candidates, key) {
+  const ranks = new Map();
+  candidates
+    .filter(r => (r[key] || 0) > 0)
+    .sort((a, b) => b[key] - a[key])
+    .forEach((r, i) => ranks.set(r.id, i + 1));
+  return ranks;
+}
+
+/**
+ * Scale `key` into [0, 1] relative to the best value among candidates
+ */
+function normalizeBy(candidates, key) {
+  const max = Math.max(0, ...candidates.map(r => r[key] || 0));
+  const normalized = new Map();
+  for (const r of candidates) {
+    normalized.set(r.id, max > 0 ? Math.max(0, r[key] || 0) / max : 0);
+  }
+  return normalized;
+}
+
+/**
+ * Score and sort candidates
+ * @param {object[]} candidates - { id, vectorSimilarity, bm25Score, confidence, recency }
+ * @param {object} scoring - Result of resolveScoring()
+ * @param {object} options - { explain: attach a per-candidate score breakdown as r.explain }
+ * @returns {object[]} Candidates with combinedScore, best first
+ */
+function fuse(candidates, scoring, options = {}) {
+  const { fusion, weights, rrfK, confidenceWeight, recencyWeight } = scoring;
+
+  let pool = candidates;
+  if (fusion === 'vector') pool = candidates.filter(r => (r.vectorSimilarity || 0) > 0);
+  if (fusion === 'bm25') pool = candidates.filter(r => (r.bm25Score || 0) > 0);
+
+  const vecRanks = rankBy(pool, 'vectorSimilarity');
+  const bm25Ranks = rankBy(pool, 'bm25Score');
+  const bm25Normalized = normalizeBy(pool, 'bm25Score');
+
+  for (const r of pool) {
+    let score;
+    switch (fusion) {
+      case 'rrf':
+        score = (vecRanks.has(r.id) ? weights.vector / (rrfK + vecRanks.get(r.id)) : 0)
+          + (bm25Ranks.has(r.id) ? weights.bm25 / (rrfK + bm25Ranks.get(r.id)) : 0);
+        break;
+      case 'weighted':
+        score = weights.vector * (r.vectorSimilarity || 0) + weights.bm25 * bm25Normalized.get(r.id);
+        break;
+      case 'vector':
+        score = r.vectorSimilarity;
+        break;
+      case 'bm25':
+        score = bm25Normalized.get(r.id);
+        break;
+    }
+
+    const fusedScore = score;
+    const confidenceFactor = 1 - confidenceWeight + confidenceWeight * (r.confidence ?? 0.5);
+    const recencyFactor = 1 - recencyWeight + recencyWeight * (r.recency ?? 1);
+    score *= confidenceFactor * recencyFactor;
+    r.combinedScore = score;
+
+    if (options.explain) {
+      r.explain = {
+        fusion,
+        bm25: { raw: r.bm25Score || 0, normalized: bm25Normalized.get(r.id), rank: bm25Ranks.get(r.id) || null },
+        vector: { similarity: r.vectorSimilarity || 0, distance: r.vectorDistance ?? null, rank: vecRanks.get(r.id) || null },
+        fusedScore,
+        confidence: { value: r.confidence ?? null, weight: confidenceWeight, factor: confidenceFactor },
+        recency: { value: r.recency ?? 1, weight: recencyWeight, factor: recencyFactor },
+        finalScore: score
+      };
+    }
+  }
+
+  return pool.sort((a, b) => b.combinedScore - a.combinedScore);
+}
+
+module.exports = {
+  FUSION_STRATEGIES,
+  resolveScoring,
+  fuse
+};
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 
 /**
  * Ensure a directory exists (create recursively if not).
@@ -82,6 +83,51 @@ function appendFile(filePath, content) {
   fs.appendFileSync(filePath, content, 'utf8');
 }
 
+/**
+ * Resolve the project key for a working directory.
+ * Walks up to the nearest git root so that subdirectories of one repository
+ * share the same project; falls back to the directory itself.
+ * @param {string} cwd - Working directory (e.g. the session cwd from a hook payload)
+ * @returns {string|null} Absolute project path, or null if cwd is empty
+ */
+function resolveProject(cwd) {
+  if (!cwd) return null;
+  const start = path.resolve(cwd);
+  let dir = start;
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return start;
+    dir = parent;
+  }
+}
+
+/**
+ * Path of a per-session marker file in the temp directory (e.g. "pinned
+ * memories already injected"); removed by the SessionEnd hook.
+ * @param {string} sessionId - Claude Code session ID
+ * @param {string} name - Marker name
+ * @returns {string} Absolute marker path
+ */
+function sessionMarkerPath(sessionId, name) {
+  return path.join(config.pidDir, `claude-memory-${name}-${String(sessionId).replace(/[^\w-]/g, '_')}`);
+}
+
+/**
+ * Remove all marker files of a session (see sessionMarkerPath)
+ * @param {string} sessionId - Claude Code session ID
+ */
+function clearSessionMarkers(sessionId) {
+  const suffix = `-${String(sessionId).replace(/[^\w-]/g, '_')}`;
+  try {
+    for (const file of fs.readdirSync(config.pidDir)) {
+      if (file.startsWith('claude-memory-') && file.endsWith(suffix)) {
+        fs.unlinkSync(path.join(config.pidDir, file));
+      }
+    }
+  } catch {}
+}
+
 module.exports = {
   ensureDir,
   cosineSimilarity,
@@ -89,4 +135,7 @@ module.exports = {
   readFile,
   writeFile,
   appendFile,
+  resolveProject,
+  sessionMarkerPath,
+  clearSessionMarkers,
 };
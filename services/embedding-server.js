@@ -4,6 +4,8 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const { ensureDir } = require('../lib/utils');
+const { createLruCache } = require('../lib/lru-cache');
+const { runNextJob } = require('../lib/job-worker');
 
 const PORT = config.embeddingPort;
 const PID_FILE = path.join(config.pidDir, 'claude-embedding.pid');
@@ -12,6 +14,31 @@ let memoryDb = null;
 let isReady = false;
 let server = null;
 
+const MAX_EMBED_BATCH = 256;
+
+// Hooks send near-identical queries over and over (e.g. repeated tool calls on
+// one file): cache query vectors, and search results until memory.db changes
+const queryEmbeddingCache = createLruCache({ max: config.cache?.queryEmbeddings ?? 500 });
+const searchResultCache = createLruCache({ max: config.cache?.searchResults ?? 200 });
+let searchResultVersion = null;
+
+/**
+ * Cached results of a search action, computing them on a miss
+ */
+async function cachedSearch(action, request, run) {
+  const version = memoryDb.getDataVersion();
+  if (version !== searchResultVersion) {
+    searchResultCache.clear();
+    searchResultVersion = version;
+  }
+  const key = JSON.stringify([action, String(request.query || '').trim().replace(/\s+/g, ' '), request.limit || 3, request.options || {}]);
+  const cached = searchResultCache.get(key);
+  if (cached) return { results: cached, cached: true };
+  const results = await run();
+  searchResultCache.set(key, results);
+  return { results, cached: false };
+}
+
 const LOG_FILE = path.join(config.logDir, 'embedding-server.log');
 ensureDir(config.logDir);
 
@@ -22,6 +49,9 @@ async function initialize() {
   console.error('[EmbeddingServer] Starting...');
   try {
     memoryDb = require('../lib/memory-db');
+    // This process holds the warm model that other processes delegate to
+    memoryDb.setEmbeddingDelegation(false);
+    memoryDb.setQueryEmbeddingCache(queryEmbeddingCache);
     if (memoryDb.warmupEmbedding) {
       console.error('[EmbeddingServer] Warming up embedding model...');
       await memoryDb.warmupEmbedding();
@@ -41,27 +71,62 @@ async function handleRequest(data) {
     const startTime = Date.now();
     switch (request.action) {
       case 'search': {
-        log(`[REQ] action=search query=${str(request.query)} limit=${request.limit || 3}`);
-        const results = await memoryDb.search(request.query, request.limit || 3, request.options || {});
+        log(`[REQ] action=search query=${str(request.query)} limit=${request.limit || 3}${request.options?.explain ? ' explain=true' : ''}`);
+        const { results, cached } = await cachedSearch('search', request, () => memoryDb.search(request.query, request.limit || 3, request.options || {}));
         const duration = Date.now() - startTime;
-        log(`[RES] action=search duration=${duration}ms results=${results.length} matches=${results.map(r => '#' + r.id + '(' + (r.vectorSimilarity != null ? r.vectorSimilarity.toFixed(3) : '?') + ')').join(',')}`);
+        log(`[RES] action=search duration=${duration}ms cached=${cached} results=${results.length} matches=${results.map(r => '#' + r.id + '(' + (r.vectorSimilarity != null ? r.vectorSimilarity.toFixed(3) : '?') + ')').join(',')}`);
         return { success: true, results };
       }
       case 'quickSearch': {
         log(`[REQ] action=quickSearch query=${str(request.query)} limit=${request.limit || 3}`);
-        const quickResults = memoryDb.quickSearch(request.query, request.limit || 3, request.options || {});
+        const { results: quickResults, cached } = await cachedSearch('quickSearch', request, async () => memoryDb.quickSearch(request.query, request.limit || 3, request.options || {}));
         const duration = Date.now() - startTime;
-        log(`[RES] action=quickSearch duration=${duration}ms results=${quickResults.length} matches=${quickResults.map(r => '#' + r.id + '(' + (r.vectorSimilarity != null ? r.vectorSimilarity.toFixed(3) : '?') + ')').join(',')}`);
+        log(`[RES] action=quickSearch duration=${duration}ms cached=${cached} results=${quickResults.length} matches=${quickResults.map(r => '#' + r.id + '(' + (r.vectorSimilarity != null ? r.vectorSimilarity.toFixed(3) : '?') + ')').join(',')}`);
         return { success: true, results: quickResults };
       }
+      case 'embed': {
+        const space = memoryDb.findSpace(request.space);
+        const embedding = await memoryDb.getEmbedding(String(request.text || ''), space, { throwOnError: true });
+        log(`[RES] action=embed duration=${Date.now() - startTime}ms space=${space.space_key}`);
+        return { success: true, embedding, space: space.space_key };
+      }
+      case 'embedBatch': {
+        const texts = request.texts;
+        if (!Array.isArray(texts) || texts.length === 0) return { success: false, error: 'texts must be a non-empty array' };
+        if (texts.length > MAX_EMBED_BATCH) return { success: false, error: `At most ${MAX_EMBED_BATCH} texts per batch` };
+        const space = memoryDb.findSpace(request.space);
+        const results = await memoryDb.getEmbeddings(texts.map(t => String(t || '')), space);
+        const failed = results.filter(r => !r.embedding).length;
+        log(`[RES] action=embedBatch duration=${Date.now() - startTime}ms space=${space.space_key} count=${texts.length} failed=${failed}`);
+        return { success: true, embeddings: results.map(r => r.embedding), errors: results.map(r => r.error), space: space.space_key };
+      }
+      case 'save': {
+        log(`[REQ] action=save content=${str(request.content)} source=${request.options?.source || '-'}`);
+        const result = await memoryDb.save(request.content, request.options || {});
+        log(`[RES] action=save duration=${Date.now() - startTime}ms ${result.action} #${result.id}`);
+        return { success: true, result };
+      }
+      case 'pinned': {
+        const pinned = memoryDb.getPinnedMemories({ project: request.project || null, maxChars: request.maxChars });
+        log(`[RES] action=pinned duration=${Date.now() - startTime}ms memories=${pinned.memories.map(m => '#' + m.id).join(',')} omitted=${pinned.omitted}`);
+        return { success: true, ...pinned };
+      }
+      case 'digest': {
+        const digest = memoryDb.getSessionDigest({ project: request.project || null, maxTokens: request.maxTokens });
+        const ids = [...digest.pinned, ...digest.decisions, ...digest.bugs].map(m => '#' + m.id).join(',');
+        log(`[RES] action=digest duration=${Date.now() - startTime}ms memories=${ids} tokens=${digest.tokens} omitted=${digest.omitted}`);
+        return { success: true, ...digest };
+      }
       case 'ping': return { success: true, message: 'pong', ready: isReady };
       case 'shutdown':
         console.error('[EmbeddingServer] Shutdown requested');
         setTimeout(() => { cleanup(); process.exit(0); }, 100);
         return { success: true, message: 'Shutting down' };
-      case 'stats':
+      case 'stats': {
         const stats = memoryDb.getStats();
+        stats.cache = { queryEmbeddings: queryEmbeddingCache.stats(), searchResults: searchResultCache.stats() };
         return { success: true, stats };
+      }
       default: return { success: false, error: `Unknown action: ${request.action}` };
     }
   } catch (e) {
@@ -70,7 +135,59 @@ async function handleRequest(data) {
   }
 }
 
+// Background re-embed after config.embedding changed (see memory-db reembedStep);
+// search keeps using the previous model until every memory has a new vector.
+// Other processes (tools/rebuild-vectors.js) can start a building space, so
+// the spaces are polled like the jobs table
+const REEMBED_BATCH = 20;
+const REEMBED_RETRY_MS = 60000;
+const REEMBED_POLL_MS = config.jobs?.pollMs ?? 30000;
+let reembedTimer = null;
+
+function scheduleReembed(delay = 0) {
+  if (reembedTimer) return;
+  reembedTimer = setTimeout(async () => {
+    reembedTimer = null;
+    try {
+      const step = await memoryDb.reembedStep({ batchSize: REEMBED_BATCH });
+      if (step.status === 'idle') return scheduleReembed(REEMBED_POLL_MS);
+      log(`[REEMBED] status=${step.status} space=${step.space} embedded=${step.embedded} remaining=${step.remaining}`);
+      if (step.status === 'running') scheduleReembed(100);
+      else if (step.status === 'error') scheduleReembed(REEMBED_RETRY_MS);
+    } catch (e) {
+      log(`[REEMBED-ERR] error=${e.message}`);
+      scheduleReembed(REEMBED_RETRY_MS);
+    }
+  }, delay);
+}
+
+// Deferred LLM jobs (see lib/job-worker.js): structurize / merge / analyze work
+// queued while the LLM server was unavailable; hooks queue jobs from other
+// processes, so the table is polled
+const JOB_POLL_MS = config.jobs?.pollMs ?? 30000;
+const JOB_WAIT_MS = 60000;
+let jobTimer = null;
+
+function scheduleJobs(delay = 0) {
+  if (jobTimer) return;
+  jobTimer = setTimeout(async () => {
+    jobTimer = null;
+    try {
+      const step = await runNextJob({ memoryDb });
+      if (step.status === 'idle') return scheduleJobs(JOB_POLL_MS);
+      if (step.status === 'waiting') return scheduleJobs(JOB_WAIT_MS);
+      log(`[JOB] status=${step.status} #${step.job.id} kind=${step.job.kind} ${step.error ? `error=${step.error}` : `result=${str(step.result)}`}`);
+      scheduleJobs(100);
+    } catch (e) {
+      log(`[JOB-ERR] error=${e.message}`);
+      scheduleJobs(JOB_WAIT_MS);
+    }
+  }, delay);
+}
+
 function cleanup() {
+  if (reembedTimer) { clearTimeout(reembedTimer); reembedTimer = null; }
+  if (jobTimer) { clearTimeout(jobTimer); jobTimer = null; }
   try { if (fs.existsSync(PID_FILE)) fs.unlinkSync(PID_FILE); if (memoryDb && memoryDb.closeDb) memoryDb.closeDb(); } catch (e) {}
 }
 
@@ -100,6 +217,10 @@ async function startServer() {
   server.listen(PORT, '127.0.0.1', () => {
     console.error(`[EmbeddingServer] Listening on 127.0.0.1:${PORT}`);
     fs.writeFileSync(PID_FILE, process.pid.toString());
+    scheduleReembed();
+    const recovered = memoryDb.recoverJobs();
+    if (recovered.requeued > 0) log(`[JOB] requeued ${recovered.requeued} interrupted jobs`);
+    scheduleJobs();
   });
   process.on('SIGTERM', () => { console.error('[EmbeddingServer] SIGTERM received'); cleanup(); process.exit(0); });
   process.on('SIGINT', () => { console.error('[EmbeddingServer] SIGINT received'); cleanup(); process.exit(0); });
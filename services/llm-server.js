@@ -1,36 +1,48 @@
 #!/usr/bin/env node
 /**
- * LLM Server (Azure OpenAI) - LLM classification service using Azure OpenAI API
+ * LLM Server - structuring, merge, session analysis and memory comparison over TCP
  *
- * Same functionality as llm-server.js, but uses Azure OpenAI instead of local llama-server
+ * The chat model behind it is selected by config.llm.provider (see
+ * lib/llm-providers.js): Azure OpenAI, OpenAI, or any OpenAI-compatible
+ * server such as Ollama, llama.cpp server, vLLM or LM Studio.
+ *
+ * System prompts are rendered from prompts/*.md (see lib/prompt-templates.js);
+ * requests may carry a project whose .claude/memory-prompts/ overrides them.
  */
 
 const net = require('net');
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const config = require('../config');
 const { ensureDir } = require('../lib/utils');
+const { createLlmProvider } = require('../lib/llm-providers');
+const { createResilientCaller } = require('../lib/llm-resilience');
+const prompts = require('../lib/prompt-templates');
 
 const PORT = config.llmPort;
 const PID_FILE = path.join(config.pidDir, 'claude-llm.pid');
 
-// Azure OpenAI Configuration
-const AZURE_CONFIG = {
-  endpoint: config.azure.endpoint,
-  apiKey: config.azure.apiKey,
-  deployment: config.azure.deployment,
-  apiVersion: config.azure.apiVersion,
-};
-
-if (!AZURE_CONFIG.endpoint || !AZURE_CONFIG.apiKey) {
-  console.error('[LLMServer] Error: Azure OpenAI endpoint and apiKey must be configured.');
-  console.error('[LLMServer] Set AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_KEY environment variables,');
-  console.error('[LLMServer] or configure them in config.js');
+let provider;
+try {
+  provider = createLlmProvider(config);
+} catch (e) {
+  console.error(`[LLMServer] Error: ${e.message}`);
   process.exit(1);
 }
 
+// Retries with backoff, concurrency limit and circuit breaker (see lib/llm-resilience.js)
+const llm = createResilientCaller((messages, options) => provider.chat(messages, options), {
+  ...config.llm?.retry,
+  ...config.llm?.concurrency,
+  ...config.llm?.circuitBreaker,
+  onRetry: (attempt, delay, err) => log(`[LLM-RETRY] attempt=${attempt} delay=${Math.round(delay)}ms error=${err.message}`)
+});
+
+const COMPARE_RELATIONS = ['duplicate', 'supersedes', 'contradicts', 'related', 'unrelated'];
+
+// Margin kept from the client's timeout so the answer still reaches it
+const DEADLINE_MARGIN_MS = 500;
+
 let isReady = false;
 let server = null;
 
@@ -44,188 +56,95 @@ function log(msg) {
   try { fs.appendFileSync(LOG_FILE, line); } catch (e) {}
 }
 
-// ============== Azure OpenAI API ==============
+// ============== LLM API ==============
 
-async function callAzureOpenAI(messages, maxTokens = 200) {
+/**
+ * @param {number|null} deadline - Epoch ms after which the client no longer waits (no retries past it)
+ * @param {string} action - Server action the call is made for (passed to the provider, see the mock provider)
+ */
+async function callLLM(messages, maxTokens = 200, deadline = null, action = null) {
   const startTime = Date.now();
   const userMsg = messages.find(m => m.role === 'user');
   const sysMsg = messages.find(m => m.role === 'system');
-  log(`[AZURE-REQ] system=${str(sysMsg?.content)} user=${str(userMsg?.content)} max_tokens=${maxTokens}`);
-
-  return new Promise((resolve, reject) => {
-    const url = new URL(
-      `/openai/deployments/${AZURE_CONFIG.deployment}/chat/completions?api-version=${AZURE_CONFIG.apiVersion}`,
-      AZURE_CONFIG.endpoint
-    );
-
-    const postData = JSON.stringify({
-      messages,
-      max_tokens: maxTokens || 32768,
-      temperature: 0.1
-    });
+  log(`[LLM-REQ] provider=${provider.name} action=${action || '-'} system=${str(sysMsg?.content)} user=${str(userMsg?.content)} max_tokens=${maxTokens}`);
 
-    const options = {
-      hostname: url.hostname,
-      port: 443,
-      path: url.pathname + url.search,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api-key': AZURE_CONFIG.apiKey
-      },
-      timeout: 60000
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        const duration = Date.now() - startTime;
-        try {
-          const json = JSON.parse(data);
-          if (json.error) {
-            log(`[AZURE-ERR] duration=${duration}ms error=${json.error.message || 'Azure API error'}`);
-            reject(new Error(json.error.message || 'Azure API error'));
-          } else {
-            const content = json.choices?.[0]?.message?.content || '';
-            const usage = json.usage || {};
-            log(`[AZURE-RES] duration=${duration}ms tokens=${usage.prompt_tokens||'-'}/${usage.completion_tokens||'-'}/${usage.total_tokens||'-'} response=${str(content)}`);
-            resolve(content);
-          }
-        } catch (e) {
-          log(`[AZURE-ERR] duration=${duration}ms parse_error=${e.message} raw=${str(data)}`);
-          reject(new Error(`Invalid response: ${data.slice(0, 200)}`));
-        }
-      });
-    });
-
-    req.on('error', (e) => {
-      const duration = Date.now() - startTime;
-      log(`[AZURE-ERR] duration=${duration}ms network_error=${e.message}`);
-      reject(e);
-    });
-    req.on('timeout', () => {
-      const duration = Date.now() - startTime;
-      log(`[AZURE-ERR] duration=${duration}ms timeout`);
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-
-    req.write(postData);
-    req.end();
-  });
+  try {
+    const content = await llm.call(messages, { maxTokens, deadline: deadline ?? Infinity, action });
+    log(`[LLM-RES] duration=${Date.now() - startTime}ms response=${str(content)}`);
+    return content;
+  } catch (e) {
+    log(`[LLM-ERR] duration=${Date.now() - startTime}ms error=${e.message}`);
+    throw e;
+  }
 }
 
 // ============== Request Handling ==============
 
 async function handleRequest(data) {
-  const { action, text } = data;
+  const { action, text, timeoutMs } = data;
+  const deadline = timeoutMs ? Date.now() + timeoutMs - DEADLINE_MARGIN_MS : null;
 
   switch (action) {
-    case 'ping':
-      return { success: true, ready: isReady };
+    case 'ping': {
+      const status = llm.status();
+      return { success: true, ready: isReady, degraded: status.degraded, status };
+    }
 
     case 'structurize': {
-      const { type: memType } = data;
-      const typeRules = {
-        fact: 'only <what>',
-        pattern: '<what> + <when> + <do> + <warn>',
-        decision: '<what> + <warn>',
-        preference: '<what> + <warn>',
-        bug: '<what> + <do>',
-        context: '<what> + <when>'
-      };
-      const rule = typeRules[memType] || typeRules.context;
-
-      const messages = [
-        {
-          role: 'system',
-          content: `You are a memory structuring assistant. Structure content into XML-formatted persistent memory.
-
-First determine: is this worth saving long-term?
-- One-off operation instructions ("change A to B") -> return REJECT
-- Temporary conversation/debugging requests -> return REJECT
-- Only meaningful in the current session -> return REJECT
-
-If it has value, output XML (do not output anything else):
-<memory type="${memType || 'context'}" domain="choose one: frontend/backend/database/devops/testing/memory/general">
-  <what>Core fact, 1-2 sentences, remove redundant words (required)</what>
-  <when>When to trigger/apply (use | to separate multiple scenarios)</when>
-  <do>Specific operation steps or commands (use ; to separate)</do>
-  <warn>Prohibited actions or common pitfalls</warn>
-</memory>
-
-Current type ${memType || 'context'} uses fields: ${rule}
-Omit fields that are not needed.`
-        },
-        {
-          role: 'user',
-          content: text
-        }
-      ];
+      const { type: memType, project } = data;
+      const type = memType || 'context';
 
       try {
-        const response = await callAzureOpenAI(messages, 300);
+        const { typeRules = {} } = prompts.loadVariables(project);
+        const prompt = prompts.renderPrompt('structurize', { type, typeRule: typeRules[type] || typeRules.context }, { project });
+        const messages = [
+          { role: 'system', content: prompt.text },
+          { role: 'user', content: text }
+        ];
+
+        const response = await callLLM(messages, 300, deadline, 'structurize');
         const trimmed = response.trim();
 
         if (/REJECT/i.test(trimmed) && !trimmed.includes('<memory')) {
-          return { success: true, structured: { __rejected: true, reason: 'low value' } };
+          return { success: true, structured: { __rejected: true, reason: 'low value' }, promptVersion: prompt.version };
         }
 
         const xmlMatch = trimmed.match(/<memory[\s\S]*?<\/memory>/);
         if (xmlMatch) {
-          return { success: true, structured: xmlMatch[0] };
+          return { success: true, structured: xmlMatch[0], promptVersion: prompt.version };
         }
         return { success: false, error: 'No XML found in response' };
       } catch (e) {
-        console.error('[LLMServer-Azure] Structurize error:', e.message);
+        console.error('[LLMServer] Structurize error:', e.message);
         return { success: false, error: e.message };
       }
     }
 
     case 'merge': {
-      const { memories, domain: mergeDomain } = data;
+      const { memories, domain: mergeDomain, project } = data;
       if (!memories || !Array.isArray(memories) || memories.length === 0) {
         return { success: false, error: 'memories array required' };
       }
 
-      const d = mergeDomain || 'general';
       const memoriesText = memories.map((m, i) => `[${i + 1}] ${m}`).join('\n');
-      const messages = [
-        {
-          role: 'system',
-          content: `You are a knowledge aggregation assistant. Deduplicate and merge multiple related memories into a single XML memory.
-
-Merge rules:
-- <what> Summarize the core theme of all memories in 1-2 sentences
-- <when> Merge all applicable scenarios (use | to separate)
-- <do> Merge all specific operations (use ; to separate), remove duplicates
-- <warn> Merge all warnings, remove duplicates
-
-Output only XML:
-<memory type="pattern" domain="${d}">
-  <what>...</what>
-  <when>...</when>
-  <do>...</do>
-  <warn>...</warn>
-</memory>`
-        },
-        {
-          role: 'user',
-          content: `Merge the following ${memories.length} memories:\n\n${memoriesText}`
-        }
-      ];
 
       try {
-        const response = await callAzureOpenAI(messages, 500);
+        const prompt = prompts.renderPrompt('merge', { domain: mergeDomain || 'general' }, { project });
+        const messages = [
+          { role: 'system', content: prompt.text },
+          { role: 'user', content: `Merge the following ${memories.length} memories:\n\n${memoriesText}` }
+        ];
+
+        const response = await callLLM(messages, 500, deadline, 'merge');
         const xmlMatch = response.match(/<memory[\s\S]*?<\/memory>/);
         if (xmlMatch) {
-          return { success: true, merged: xmlMatch[0] };
+          return { success: true, merged: xmlMatch[0], promptVersion: prompt.version };
         }
 
         // fallback
         return {
           success: true,
+          promptVersion: prompt.version,
           merged: {
             summary: memories[0].slice(0, 100),
             content: memories.join('\n---\n'),
@@ -233,60 +152,29 @@ Output only XML:
           }
         };
       } catch (e) {
-        console.error('[LLMServer-Azure] Merge error:', e.message);
+        console.error('[LLMServer] Merge error:', e.message);
         return { success: false, error: e.message };
       }
     }
 
     case 'analyzeSession': {
-      const { transcript } = data;
+      const { transcript, project } = data;
       if (!transcript || transcript.length < 50) {
         return { success: true, memories: [] };
       }
 
-      const messages = [
-        {
-          role: 'system',
-          content: `You are a development session analysis assistant. Analyze session transcripts and extract content worth saving as long-term memory.
-
-[Extraction criteria] Only extract:
-1. bug: error encountered -> fix experience (including error message and fix method)
-2. decision: user's explicitly stated technical decisions or preferences ("always use X from now on", "don't use Y")
-3. pattern: reusable development patterns or operational workflows
-4. preference: user's coding habits, tool preferences
-
-[Do NOT extract]
-- One-off operation instructions ("add a button", "modify the API", "optimize xxx")
-- Code snapshots or specific implementation details (code changes, not worth memorizing)
-- Routine file viewing/searching/installing dependencies/starting services
-- Information queries and Q&A
-- Specific steps of the current task
-
-[Output format]
-Return a <memory> block for each memory:
-<memory type="choose one: bug/decision/pattern/preference" domain="choose one: frontend/backend/database/devops/testing/memory/general" confidence="0.7-0.9">
-  <summary>Plain text summary (one sentence)</summary>
-  <what>Core fact (1-2 sentences)</what>
-  <when>Trigger scenarios (optional, use | to separate)</when>
-  <do>Specific operations (optional, use ; to separate)</do>
-  <warn>Caveats (optional)</warn>
-</memory>
-
-If there is nothing worth saving, return only NONE.
-Better to extract fewer items than to extract low-value content. Return at most 3 items.`
-        },
-        {
-          role: 'user',
-          content: `=== Session Transcript ===\n${transcript}`
-        }
-      ];
-
       try {
-        const response = await callAzureOpenAI(messages, null);
+        const prompt = prompts.renderPrompt('analyze-session', {}, { project });
+        const messages = [
+          { role: 'system', content: prompt.text },
+          { role: 'user', content: `=== Session Transcript ===\n${transcript}` }
+        ];
+
+        const response = await callLLM(messages, null, deadline, 'analyzeSession');
         const trimmed = response.trim();
 
         if (/^NONE$/i.test(trimmed)) {
-          return { success: true, memories: [] };
+          return { success: true, memories: [], promptVersion: prompt.version };
         }
 
         // Extract all <memory> blocks
@@ -315,13 +203,51 @@ Better to extract fewer items than to extract low-value content. Return at most
           }
         }
 
-        return { success: true, memories: memoryBlocks };
+        return { success: true, memories: memoryBlocks, promptVersion: prompt.version };
       } catch (e) {
-        console.error('[LLMServer-Azure] analyzeSession error:', e.message);
+        console.error('[LLMServer] analyzeSession error:', e.message);
         return { success: false, error: e.message, memories: [] };
       }
     }
 
+    case 'compare': {
+      const { candidates, project } = data;
+      if (!text || !Array.isArray(candidates) || candidates.length === 0) {
+        return { success: false, error: 'text and candidates array required' };
+      }
+
+      const flatten = t => String(t || '').replace(/\s+/g, ' ').trim();
+      const existing = candidates.map(c => `[#${c.id}] ${flatten(c.text)}`).join('\n');
+
+      try {
+        const prompt = prompts.renderPrompt('compare', {}, { project });
+        const messages = [
+          { role: 'system', content: prompt.text },
+          { role: 'user', content: `=== New memory ===\n${flatten(text)}\n\n=== Existing memories ===\n${existing}` }
+        ];
+
+        const response = await callLLM(messages, 80 + 60 * candidates.length, deadline, 'compare');
+
+        // Keep one valid relation per candidate
+        const ids = new Set(candidates.map(c => Number(c.id)));
+        const relations = [];
+        const regex = /<relation\s+id="#?(\d+)"\s+type="(\w+)"\s*>([\s\S]*?)<\/relation>/g;
+        let match;
+        while ((match = regex.exec(response)) !== null) {
+          const id = Number(match[1]);
+          const relation = match[2].toLowerCase();
+          if (!ids.has(id) || !COMPARE_RELATIONS.includes(relation)) continue;
+          ids.delete(id);
+          relations.push({ id, relation, reason: match[3].trim() });
+        }
+
+        return { success: true, relations, promptVersion: prompt.version };
+      } catch (e) {
+        console.error('[LLMServer] Compare error:', e.message);
+        return { success: false, error: e.message };
+      }
+    }
+
     default:
       return { success: false, error: `Unknown action: ${action}` };
   }
@@ -329,29 +255,29 @@ Better to extract fewer items than to extract low-value content. Return at most
 
 // ============== Server Startup ==============
 
-async function checkAzureConnection() {
+async function checkConnection() {
   try {
     const messages = [{ role: 'user', content: 'ping' }];
-    await callAzureOpenAI(messages, 10);
+    await callLLM(messages, 10, null, 'ping');
     return true;
   } catch (e) {
-    console.error('[LLMServer-Azure] Connection check failed:', e.message);
+    console.error('[LLMServer] Connection check failed:', e.message);
     return false;
   }
 }
 
 async function startServer() {
-  console.error('[LLMServer-Azure] Starting...');
-  console.error(`[LLMServer-Azure] Endpoint: ${AZURE_CONFIG.endpoint}`);
-  console.error(`[LLMServer-Azure] Deployment: ${AZURE_CONFIG.deployment}`);
+  console.error('[LLMServer] Starting...');
+  console.error(`[LLMServer] Provider: ${provider.name}${provider.model ? ` (${provider.model})` : ''}`);
+  console.error(`[LLMServer] Endpoint: ${provider.endpoint}`);
 
   // Check connection
-  const connected = await checkAzureConnection();
+  const connected = await checkConnection();
   if (!connected) {
-    console.error('[LLMServer-Azure] Failed to connect to Azure OpenAI');
+    console.error(`[LLMServer] Failed to connect to ${provider.endpoint}`);
     process.exit(1);
   }
-  console.error('[LLMServer-Azure] Azure OpenAI connected');
+  console.error('[LLMServer] LLM connected');
   isReady = true;
 
   // Create TCP server
@@ -381,27 +307,27 @@ async function startServer() {
 
   server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
-      console.error(`[LLMServer-Azure] Port ${PORT} already in use`);
+      console.error(`[LLMServer] Port ${PORT} already in use`);
       process.exit(0);
     }
-    console.error('[LLMServer-Azure] Server error:', err.message);
+    console.error('[LLMServer] Server error:', err.message);
     process.exit(1);
   });
 
   server.listen(PORT, '127.0.0.1', () => {
-    console.error(`[LLMServer-Azure] Listening on port ${PORT}`);
+    console.error(`[LLMServer] Listening on port ${PORT}`);
     fs.writeFileSync(PID_FILE, process.pid.toString());
   });
 
   // Graceful shutdown
   process.on('SIGTERM', () => {
-    console.error('[LLMServer-Azure] SIGTERM received');
+    console.error('[LLMServer] SIGTERM received');
     cleanup();
     process.exit(0);
   });
 
   process.on('SIGINT', () => {
-    console.error('[LLMServer-Azure] SIGINT received');
+    console.error('[LLMServer] SIGINT received');
     cleanup();
     process.exit(0);
   });
@@ -416,6 +342,6 @@ function cleanup() {
 }
 
 startServer().catch((err) => {
-  console.error('[LLMServer-Azure] Failed to start:', err.message);
+  console.error('[LLMServer] Failed to start:', err.message);
   process.exit(1);
 });
@@ -9,8 +9,25 @@
  *   - memory_search: hybrid search (BM25 + vector similarity)
  *   - memory_save:   save new memory
  *   - memory_validate: validate memory usefulness (adjust confidence)
+ *   - memory_update: correct an existing memory (previous version kept as a revision)
+ *   - memory_delete: move a memory to the trash
+ *   - memory_trash:  list trashed memories
+ *   - memory_restore: restore a memory from the trash
+ *   - memory_provenance: show which memories a merged memory was built from
+ *   - memory_unmerge: undo a cluster merge
+ *   - memory_conflicts: list contradicting memories found on save
+ *   - memory_resolve_conflict: resolve a contradiction (keep new, keep old or keep both)
+ *   - memory_supersede: mark a memory as superseded by a newer one (or clear the mark)
+ *   - memory_link:   add or remove a typed link between two memories
+ *   - memory_neighbors: list the memories linked to a memory
+ *   - memory_pin:    pin a memory so it is injected into every session
+ *   - memory_unpin:  unpin a memory
+ *   - memory_jobs:   list deferred LLM jobs
+ *   - memory_job_cancel: cancel a pending deferred LLM job
  *   - memory_stats:  view memory statistics
  *
+ * Memories are scoped to the current project (git root of CLAUDE_PROJECT_DIR or cwd).
+ *
  * Transport: stdio (Claude Code standard)
  */
 
@@ -31,6 +48,10 @@ const z = require('zod');
 // ============ Memory modules ============
 
 const memoryDb = require('../lib/memory-db');
+const { resolveProject } = require('../lib/utils');
+
+// Project of the Claude Code session this server was started for
+const PROJECT = resolveProject(process.env.CLAUDE_PROJECT_DIR || process.cwd());
 
 // Embedding client for hybrid search via embedding server
 let embeddingClient;
@@ -41,21 +62,33 @@ try {
 }
 
 /**
- * Execute hybrid search (prefer embedding service, fallback to inline search)
+ * Whether the embedding server is up (its warm model handles search and saves)
  */
-async function hybridSearch(query, limit, options = {}) {
-  let useEmbeddingService = false;
+async function useEmbeddingServer() {
+  if (!embeddingClient) return false;
+  try {
+    return await embeddingClient.isServerRunning();
+  } catch (e) {
+    return false;
+  }
+}
 
-  if (embeddingClient) {
-    try {
-      useEmbeddingService = await embeddingClient.isServerRunning();
-    } catch (e) {
-      // ignore
-    }
+/**
+ * Save a memory (prefer embedding service, fallback to inline save)
+ */
+async function saveMemory(content, options) {
+  if (await useEmbeddingServer()) {
+    return embeddingClient.save(content, options);
   }
+  return memoryDb.save(content, options);
+}
 
-  if (useEmbeddingService) {
-    return embeddingClient.search(query, limit);
+/**
+ * Execute hybrid search (prefer embedding service, fallback to inline search)
+ */
+async function hybridSearch(query, limit, options = {}) {
+  if (await useEmbeddingServer()) {
+    return embeddingClient.search(query, limit, options);
   }
 
   // Fallback: inline hybrid search
@@ -65,10 +98,27 @@ async function hybridSearch(query, limit, options = {}) {
     // Final fallback: pure BM25
     const keywords = memoryDb.extractKeywords(query);
     const ftsQuery = keywords.map(k => `"${k}"`).join(' OR ');
-    return memoryDb.quickSearch(ftsQuery, limit);
+    return memoryDb.quickSearch(ftsQuery, limit, options);
   }
 }
 
+/**
+ * Render a search result's explain breakdown (see memoryDb.search explain option)
+ */
+function formatExplain(e) {
+  const num = v => (typeof v === 'number' ? v.toFixed(4) : 'N/A');
+  const columns = Object.entries(e.matchedColumns || {}).map(([col, terms]) => `${col}(${terms.join(',')})`).join(' ');
+  const f = e.filters || {};
+  return [
+    `explain: rank ${e.rank} | fusion=${e.fusion} | fused ${num(e.fusedScore)} x confidence ${num(e.confidence?.factor)} x recency ${num(e.recency?.factor)} = ${num(e.finalScore)}`,
+    `  BM25: raw ${num(e.bm25?.raw)}, normalized ${num(e.bm25?.normalized)}, rank ${e.bm25?.rank ?? '-'}${e.likeFallback ? ' (LIKE fallback)' : ''}`,
+    `  vector: similarity ${num(e.vector?.similarity)}, distance ${num(e.vector?.distance)}, rank ${e.vector?.rank ?? '-'}${e.vector?.chunk ? ` (best chunk #${e.vector.chunk.index}: ${num(e.vector.chunk.similarity)})` : ''}`,
+    `  terms: ${(e.matchedTerms || []).join(', ') || 'none'} of [${(e.queryTerms || []).join(', ')}]${columns ? ` in ${columns}` : ''}`,
+    `  confidence ${num(e.confidence?.value)} (weight ${e.confidence?.weight}), recency ${num(e.recency?.value)} (weight ${e.recency?.weight})`,
+    `  filters: ${Object.entries(f).filter(([k]) => k !== 'candidates').map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`).join(' ')}; ${f.candidates} candidates`
+  ].join('\n');
+}
+
 // ============ MCP Server definition ============
 
 const server = new McpServer({
@@ -84,13 +134,34 @@ server.tool(
     query: z.string().describe('Search query (natural language, supports Chinese and English)'),
     limit: z.number().optional().default(5).describe('Number of results to return (default 5)'),
     type: z.enum(['fact', 'decision', 'bug', 'pattern', 'context', 'preference', 'skill']).optional().describe('Filter by memory type'),
-    domain: z.enum(['orm', 'api', 'frontend', 'backend', 'testing', 'memory', 'general']).optional().describe('Filter by domain')
+    domain: z.enum(['orm', 'api', 'frontend', 'backend', 'testing', 'memory', 'general']).optional().describe('Filter by domain'),
+    scope: z.enum(['project', 'project+global', 'all']).optional().default('project+global').describe('Project scope: this project only, this project + global (default), or all projects'),
+    fusion: z.enum(['rrf', 'weighted', 'vector', 'bm25']).optional().describe('Ranking strategy (default from config.search.fusion): reciprocal rank fusion, weighted sum, vector only or BM25 only'),
+    tags: z.array(z.string()).optional().describe('Only memories having any of these tags'),
+    since: z.string().optional().describe('Only memories created on or after this date (YYYY-MM-DD)'),
+    until: z.string().optional().describe('Only memories created on or before this date (YYYY-MM-DD)'),
+    source: z.string().optional().describe('Only memories from this source (e.g. mcp-tool, compact-analyzer, cluster-merge)'),
+    cluster_id: z.number().optional().describe('Only members of this cluster'),
+    min_confidence: z.number().optional().describe('Minimum confidence (0-1)'),
+    include_superseded: z.boolean().optional().default(false).describe('Also return memories superseded by a newer one'),
+    expand_links: z.boolean().optional().default(false).describe('Also return memories linked to the results (one hop, see memory_link)'),
+    explain: z.boolean().optional().default(false).describe('Include a score breakdown per result (why it matched and how it ranked)')
   },
-  async ({ query, limit = 5, type, domain }) => {
+  async ({ query, limit = 5, type, domain, scope = 'project+global', fusion, tags, since, until, source, cluster_id, min_confidence, include_superseded = false, expand_links = false, explain = false }) => {
     try {
-      const options = {};
+      const options = { project: PROJECT, scope };
       if (type) options.type = type;
       if (domain) options.domain = domain;
+      if (tags && tags.length > 0) options.tags = tags;
+      if (since) options.since = since;
+      if (until) options.until = until;
+      if (source) options.source = source;
+      if (cluster_id != null) options.clusterId = cluster_id;
+      if (min_confidence != null) options.minConfidence = min_confidence;
+      if (include_superseded) options.includeSuperseded = true;
+      if (expand_links) options.expandLinks = true;
+      if (fusion) options.fusion = fusion;
+      if (explain) options.explain = true;
 
       const results = await hybridSearch(query, limit, options);
 
@@ -114,14 +185,21 @@ server.tool(
         const date = r.createdAt ? r.createdAt.slice(0, 10) : r.date || 'unknown';
 
         let content = r.content || r.rawContent || '';
+        // Long memory matched in one chunk: show that part
+        if (content.length > 500 && r.snippet) {
+          content = `(best matching part)\n${r.snippet}`;
+        }
         // Truncate overly long content
         if (content.length > 500) {
           content = content.slice(0, 500) + '...';
         }
 
         return [
-          `## Memory #${r.id} [${r.type || 'unknown'}/${r.domain || 'general'}] (confidence: ${confidence})`,
-          `date: ${date} | vecSim: ${vecSim} | BM25: ${bm25}`,
+          `## Memory #${r.id} [${r.type || 'unknown'}/${r.domain || 'general'}] (confidence: ${confidence})${r.supersededBy ? ` (superseded by #${r.supersededBy})` : ''}`,
+          r.linkedFrom
+            ? `date: ${date} | linked: ${r.linkedFrom.direction === 'out' ? `#${r.linkedFrom.id} ${r.linkedFrom.type} this` : `this ${r.linkedFrom.type} #${r.linkedFrom.id}`}`
+            : `date: ${date} | vecSim: ${vecSim} | BM25: ${bm25}`,
+          ...(r.explain ? [formatExplain(r.explain)] : []),
           '',
           content
         ].join('\n');
@@ -145,27 +223,46 @@ server.tool(
 // --- Tool: memory_save ---
 server.tool(
   'memory_save',
-  'Save a new persistent memory. Use to record important patterns, decisions, bug fixes, user preferences, etc.',
+  'Save a new persistent memory. Use to record important patterns, decisions, bug fixes, user preferences, etc. Duplicates of existing memories are not saved again; older memories it replaces are marked superseded and contradictions are flagged for review (memory_conflicts).',
   {
     content: z.string().describe('Memory content to save'),
     type: z.enum(['fact', 'decision', 'bug', 'pattern', 'context', 'preference']).optional().default('context').describe('Memory type'),
     domain: z.enum(['orm', 'api', 'frontend', 'backend', 'testing', 'memory', 'general']).optional().default('general').describe('Domain'),
-    confidence: z.number().min(0.3).max(0.9).optional().default(0.7).describe('Confidence (0.3-0.9)')
+    confidence: z.number().min(0.3).max(0.9).optional().default(0.7).describe('Confidence (0.3-0.9)'),
+    scope: z.enum(['project', 'global']).optional().default('project').describe('Save for this project only (default) or globally for all projects')
   },
-  async ({ content, type = 'context', domain = 'general', confidence = 0.7 }) => {
+  async ({ content, type = 'context', domain = 'general', confidence = 0.7, scope = 'project' }) => {
     try {
-      const result = await memoryDb.save(content, {
+      const result = await saveMemory(content, {
         type,
         domain,
         confidence,
-        source: 'mcp-tool'
+        source: 'mcp-tool',
+        project: scope === 'global' ? null : PROJECT
       });
 
+      if (result.action === 'rejected') {
+        return {
+          content: [{ type: 'text', text: `Memory not saved: rejected as low value (${result.reason || 'no reason given'})` }]
+        };
+      }
+      if (result.action === 'updated' || result.action === 'skipped' || result.action === 'merged') {
+        const outcome = { updated: 'reinforced it', skipped: 'left it unchanged', merged: 'merged the new content into it' }[result.action];
+        const similarity = result.similarity != null ? `similarity ${result.similarity.toFixed(3)}` : result.reason;
+        return {
+          content: [{ type: 'text', text: `Memory #${result.id} already says this; ${outcome} instead of saving a duplicate${similarity ? ` (${similarity})` : ''}` }]
+        };
+      }
+
+      const lines = [`Memory saved (ID: ${result.id}, type: ${type}, domain: ${domain}, confidence: ${confidence}, scope: ${scope})`];
+      if (result.superseded?.length > 0) {
+        lines.push(`- Supersedes: ${result.superseded.map(id => `#${id}`).join(', ')} (no longer returned by search)`);
+      }
+      if (result.conflicts?.length > 0) {
+        lines.push(`- Contradicts: ${result.conflicts.map(id => `#${id}`).join(', ')} (flagged for review, see memory_conflicts)`);
+      }
       return {
-        content: [{
-          type: 'text',
-          text: `Memory saved (ID: ${result.id}, type: ${type}, domain: ${domain}, confidence: ${confidence})`
-        }]
+        content: [{ type: 'text', text: lines.join('\n') }]
       };
     } catch (e) {
       return {
@@ -203,6 +300,532 @@ server.tool(
   }
 );
 
+// --- Tool: memory_update ---
+server.tool(
+  'memory_update',
+  'Correct an existing memory. The content is re-structured and re-indexed; the previous version is kept as a revision so the change can be rolled back.',
+  {
+    memory_id: z.number().describe('Memory ID'),
+    content: z.string().optional().describe('New memory content'),
+    type: z.enum(['fact', 'decision', 'bug', 'pattern', 'context', 'preference', 'skill']).optional().describe('New memory type'),
+    domain: z.enum(['orm', 'api', 'frontend', 'backend', 'testing', 'memory', 'general']).optional().describe('New domain'),
+    confidence: z.number().min(0.3).max(0.9).optional().describe('New confidence (0.3-0.9)'),
+    reason: z.string().optional().describe('Why the memory is being changed')
+  },
+  async ({ memory_id, content, type, domain, confidence, reason }) => {
+    try {
+      const result = await memoryDb.updateMemory(memory_id, { content, type, domain, confidence }, { reason: reason || 'memory_update tool' });
+
+      if (!result) {
+        return {
+          content: [{ type: 'text', text: `Memory #${memory_id} not found` }],
+          isError: true
+        };
+      }
+
+      const text = result.action === 'unchanged'
+        ? `Memory #${memory_id} unchanged (nothing to update)`
+        : `Memory #${memory_id} updated (previous version saved as revision ${result.revision}; changed: ${result.changed.join(', ')})`;
+      return {
+        content: [{ type: 'text', text }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Update failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_delete ---
+server.tool(
+  'memory_delete',
+  'Delete a wrong or obsolete memory. It is moved to the trash (excluded from search) and can be restored with memory_restore until it is purged.',
+  {
+    memory_id: z.number().describe('Memory ID'),
+    reason: z.string().optional().describe('Why the memory is being deleted')
+  },
+  async ({ memory_id, reason }) => {
+    try {
+      const deleted = memoryDb.deleteMemory(memory_id, { reason: reason || 'memory_delete tool' });
+      return {
+        content: [{
+          type: 'text',
+          text: deleted ? `Memory #${memory_id} moved to trash` : `Memory #${memory_id} not found (or already in trash)`
+        }],
+        isError: !deleted
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Delete failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_trash ---
+server.tool(
+  'memory_trash',
+  'List deleted memories in the trash (including memories consumed by cluster merges), most recent first.',
+  {
+    limit: z.number().optional().default(20).describe('Number of entries to return (default 20)')
+  },
+  async ({ limit = 20 }) => {
+    try {
+      const trashed = memoryDb.listTrash({ limit });
+      if (trashed.length === 0) {
+        return {
+          content: [{ type: 'text', text: 'Trash is empty.' }]
+        };
+      }
+
+      const lines = trashed.map(m =>
+        `- #${m.id} [${m.type || 'unknown'}/${m.domain || 'general'}] deleted ${m.deleted_at}${m.deleted_reason ? ` (${m.deleted_reason})` : ''}: ${m.summary || ''}`
+      );
+      return {
+        content: [{ type: 'text', text: `${trashed.length} memories in trash:\n${lines.join('\n')}` }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Failed to list trash: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_restore ---
+server.tool(
+  'memory_restore',
+  'Restore a memory from the trash, including its vector and cluster membership.',
+  {
+    memory_id: z.number().describe('Memory ID')
+  },
+  async ({ memory_id }) => {
+    try {
+      const restored = await memoryDb.restoreMemory(memory_id);
+      return {
+        content: [{
+          type: 'text',
+          text: restored ? `Memory #${memory_id} restored` : `Memory #${memory_id} is not in the trash`
+        }],
+        isError: !restored
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Restore failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_provenance ---
+server.tool(
+  'memory_provenance',
+  'Show the provenance of a memory: the source memories a cluster-merge memory was built from, any merged memory it was folded into, and which memories it supersedes or is superseded by.',
+  {
+    memory_id: z.number().describe('Memory ID')
+  },
+  async ({ memory_id }) => {
+    try {
+      const provenance = memoryDb.getProvenance(memory_id);
+      if (!provenance) {
+        return {
+          content: [{ type: 'text', text: `Memory #${memory_id} not found` }],
+          isError: true
+        };
+      }
+
+      const { memory, clusterId, sources, mergedInto, supersededBy, supersedes } = provenance;
+      const describe = m => `- #${m.id} (${m.status})${m.summary ? ` [${m.type || 'unknown'}] ${m.summary}` : ''}`;
+      const lines = [
+        `## Memory #${memory.id}${memory.deleted_at ? ' (in trash)' : ''}`,
+        `- [${memory.type || 'unknown'}/${memory.domain || 'general'}] ${memory.summary || ''}`,
+        `- Source: ${memory.source || 'unknown'}, created ${memory.created_at}`
+      ];
+      if (sources.length > 0) {
+        lines.push('', `### Merged from cluster #${clusterId} (${sources.length} sources)`, ...sources.map(describe));
+      }
+      if (mergedInto.length > 0) {
+        lines.push('', '### Merged into', ...mergedInto.map(describe));
+      }
+      if (supersededBy) {
+        lines.push('', `### Superseded by (${memory.superseded_at})`, describe(supersededBy));
+      }
+      if (supersedes.length > 0) {
+        lines.push('', '### Supersedes', ...supersedes.map(describe));
+      }
+      if (sources.length === 0 && mergedInto.length === 0 && !supersededBy && supersedes.length === 0) {
+        lines.push('', 'No merge lineage or supersession recorded for this memory.');
+      }
+
+      return {
+        content: [{ type: 'text', text: lines.join('\n') }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Provenance lookup failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_unmerge ---
+server.tool(
+  'memory_unmerge',
+  'Undo a cluster merge: restore the original memories from the trash and move the merged memory to the trash. Use memory_provenance to find the cluster ID.',
+  {
+    cluster_id: z.number().describe('Cluster ID')
+  },
+  async ({ cluster_id }) => {
+    try {
+      const result = await memoryDb.unmergeCluster(cluster_id);
+      if (!result) {
+        return {
+          content: [{ type: 'text', text: `Cluster #${cluster_id} has no merge to undo` }],
+          isError: true
+        };
+      }
+
+      const lines = [
+        `Cluster #${cluster_id} unmerged`,
+        `- Restored: ${result.restored.map(id => `#${id}`).join(', ') || 'none'}`,
+        `- Merged memory moved to trash: ${result.removed.map(id => `#${id}`).join(', ') || 'none'}`
+      ];
+      if (result.missing.length > 0) {
+        lines.push(`- Already purged, not restorable: ${result.missing.map(id => `#${id}`).join(', ')}`);
+      }
+      return {
+        content: [{ type: 'text', text: lines.join('\n') }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Unmerge failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_conflicts ---
+server.tool(
+  'memory_conflicts',
+  'List pairs of memories that contradict each other (found when the newer one was saved). Resolve them with memory_resolve_conflict.',
+  {
+    status: z.enum(['open', 'resolved']).optional().default('open').describe('Open (default) or resolved conflicts'),
+    limit: z.number().optional().default(20).describe('Number of conflicts to return (default 20)')
+  },
+  async ({ status = 'open', limit = 20 }) => {
+    try {
+      const conflicts = memoryDb.listConflicts({ status, project: PROJECT, limit });
+      if (conflicts.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No ${status} conflicts.` }]
+        };
+      }
+
+      const lines = conflicts.map(c => [
+        `- Conflict #${c.id}${c.resolution ? ` (${c.resolution})` : ''}: ${c.reason || 'no reason given'}`,
+        `  new #${c.memory_id}: ${c.memory_summary || ''}`,
+        `  old #${c.other_id}: ${c.other_summary || ''}`
+      ].join('\n'));
+      return {
+        content: [{ type: 'text', text: `${conflicts.length} ${status} conflicts:\n${lines.join('\n')}` }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Failed to list conflicts: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_resolve_conflict ---
+server.tool(
+  'memory_resolve_conflict',
+  'Resolve a contradiction between two memories: keep_new marks the older memory superseded by the newer one, keep_old does the opposite, keep_both leaves both as they are.',
+  {
+    conflict_id: z.number().describe('Conflict ID (see memory_conflicts)'),
+    resolution: z.enum(['keep_new', 'keep_old', 'keep_both']).describe('Which memory stays current')
+  },
+  async ({ conflict_id, resolution }) => {
+    try {
+      const result = memoryDb.resolveConflict(conflict_id, resolution);
+      if (!result) {
+        return {
+          content: [{ type: 'text', text: `Conflict #${conflict_id} not found (or already resolved)` }],
+          isError: true
+        };
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `Conflict #${conflict_id} resolved (${resolution})${result.superseded ? `, memory #${result.superseded} marked superseded` : ''}`
+        }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Resolve failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_supersede ---
+server.tool(
+  'memory_supersede',
+  'Mark a memory as superseded by a newer one: it is kept (see memory_provenance) but no longer returned by search. Omit superseded_by to clear the mark.',
+  {
+    memory_id: z.number().describe('ID of the outdated memory'),
+    superseded_by: z.number().optional().describe('ID of the memory that replaces it')
+  },
+  async ({ memory_id, superseded_by }) => {
+    try {
+      const changed = memoryDb.setSuperseded(memory_id, superseded_by ?? null);
+      const text = !changed
+        ? `Memory #${memory_id}${superseded_by != null ? ` or #${superseded_by}` : ''} not found (or in trash)`
+        : superseded_by != null
+          ? `Memory #${memory_id} marked superseded by #${superseded_by}`
+          : `Memory #${memory_id} is no longer marked superseded`;
+      return {
+        content: [{ type: 'text', text }],
+        isError: !changed
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Supersede failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_link ---
+server.tool(
+  'memory_link',
+  'Link two memories with a typed relationship, or remove a link. Types: supersedes (from replaces to; to is hidden from search), caused-by, fixes, related, contradicts, derived-from.',
+  {
+    from_id: z.number().describe('Memory ID the link starts at'),
+    to_id: z.number().describe('Memory ID the link points to'),
+    type: z.enum(['supersedes', 'caused-by', 'fixes', 'related', 'contradicts', 'derived-from']).describe('Relationship: <from> <type> <to>, e.g. #12 fixes #7'),
+    note: z.string().optional().describe('Why the memories are linked'),
+    remove: z.boolean().optional().default(false).describe('Remove the link instead of adding it')
+  },
+  async ({ from_id, to_id, type, note, remove = false }) => {
+    try {
+      if (remove) {
+        const removed = memoryDb.removeLink(from_id, to_id, type);
+        return {
+          content: [{
+            type: 'text',
+            text: removed > 0 ? `Link #${from_id} ${type} #${to_id} removed` : `No ${type} link between #${from_id} and #${to_id}`
+          }],
+          isError: removed === 0
+        };
+      }
+
+      const added = memoryDb.addLink(from_id, to_id, type, { note });
+      return {
+        content: [{
+          type: 'text',
+          text: added ? `Linked #${from_id} ${type} #${to_id}` : `Link not added: it already exists or a memory was not found`
+        }],
+        isError: !added
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Link failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_neighbors ---
+server.tool(
+  'memory_neighbors',
+  'List the memories linked to a memory (what it fixes, what caused it, what it supersedes or was derived from, ...), optionally following links several hops.',
+  {
+    memory_id: z.number().describe('Memory ID'),
+    depth: z.number().min(1).max(3).optional().default(1).describe('Number of hops to follow (1-3, default 1)'),
+    type: z.enum(['supersedes', 'caused-by', 'fixes', 'related', 'contradicts', 'derived-from']).optional().describe('Only follow links of this type'),
+    include_trashed: z.boolean().optional().default(false).describe('Also list memories in the trash')
+  },
+  async ({ memory_id, depth = 1, type, include_trashed = false }) => {
+    try {
+      const memory = memoryDb.getMemory(memory_id);
+      if (!memory) {
+        return {
+          content: [{ type: 'text', text: `Memory #${memory_id} not found` }],
+          isError: true
+        };
+      }
+
+      const neighbors = memoryDb.getNeighbors(memory_id, { depth, types: type || null, includeTrashed: include_trashed });
+      if (neighbors.length === 0) {
+        return {
+          content: [{ type: 'text', text: `Memory #${memory_id} has no linked memories.` }]
+        };
+      }
+
+      const lines = neighbors.map(n => {
+        const relation = n.link.direction === 'out'
+          ? `#${n.via} ${n.link.type} #${n.memory.id}`
+          : `#${n.memory.id} ${n.link.type} #${n.via}`;
+        const status = n.memory.status !== 'live' ? ` (${n.memory.status})` : '';
+        return `${'  '.repeat(n.depth - 1)}- ${relation}${status} [${n.memory.type || 'unknown'}/${n.memory.domain || 'general'}] ${n.memory.summary || ''}${n.link.note ? ` - ${n.link.note}` : ''}`;
+      });
+      return {
+        content: [{ type: 'text', text: `## Memory #${memory_id}: ${memory.summary || ''}\n${neighbors.length} linked memories:\n${lines.join('\n')}` }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Neighbor lookup failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_pin ---
+server.tool(
+  'memory_pin',
+  'Pin a memory (team conventions, hard rules like "never push to main"): it is injected into the first prompt of every session regardless of similarity and does not decay. Without memory_id, lists the pinned memories of this project.',
+  {
+    memory_id: z.number().optional().describe('Memory ID (omit to list pinned memories)'),
+    scope: z.enum(['project', 'global']).optional().default('project').describe("Inject in sessions of the memory's project (default) or in every session")
+  },
+  async ({ memory_id, scope = 'project' }) => {
+    try {
+      if (memory_id == null) {
+        const pinned = memoryDb.getPinnedMemories({ project: PROJECT, maxChars: Infinity });
+        if (pinned.memories.length === 0) {
+          return {
+            content: [{ type: 'text', text: 'No pinned memories.' }]
+          };
+        }
+        const lines = pinned.memories.map(m =>
+          `- #${m.id} [${m.type || 'unknown'}/${m.domain || 'general'}] (${m.pinScope}, ${m.content.length} chars) ${m.summary || ''}`
+        );
+        const budget = memoryDb.PINNED_MAX_CHARS;
+        return {
+          content: [{
+            type: 'text',
+            text: `${pinned.memories.length} pinned memories (${pinned.chars} chars, budget ${budget}${pinned.chars > budget ? ': some will be left out' : ''}):\n${lines.join('\n')}`
+          }]
+        };
+      }
+
+      const pinned = memoryDb.pinMemory(memory_id, { scope });
+      return {
+        content: [{
+          type: 'text',
+          text: pinned ? `Memory #${memory_id} pinned (${scope})` : `Memory #${memory_id} not found (or in trash)`
+        }],
+        isError: !pinned
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Pin failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_unpin ---
+server.tool(
+  'memory_unpin',
+  'Unpin a memory: it is no longer injected into every session and decays like other memories.',
+  {
+    memory_id: z.number().describe('Memory ID')
+  },
+  async ({ memory_id }) => {
+    try {
+      const unpinned = memoryDb.unpinMemory(memory_id);
+      return {
+        content: [{
+          type: 'text',
+          text: unpinned ? `Memory #${memory_id} unpinned` : `Memory #${memory_id} is not pinned`
+        }],
+        isError: !unpinned
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Unpin failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_jobs ---
+server.tool(
+  'memory_jobs',
+  'List deferred LLM jobs: memory structuring, duplicate/contradiction checks, cluster merges and session analyses queued while the LLM service was unavailable. The embedding server runs them once the LLM is back.',
+  {
+    status: z.enum(['pending', 'running', 'done', 'failed', 'cancelled']).optional().describe('Only jobs with this status'),
+    limit: z.number().optional().default(20).describe('Number of jobs to return (default 20)')
+  },
+  async ({ status, limit = 20 }) => {
+    try {
+      const jobs = memoryDb.listJobs({ status, limit });
+      if (jobs.length === 0) {
+        return {
+          content: [{ type: 'text', text: status ? `No ${status} jobs.` : 'No jobs.' }]
+        };
+      }
+
+      const lines = jobs.map(j => {
+        const target = j.memory_id != null ? ` memory #${j.memory_id}` : '';
+        const retry = j.status === 'pending' && j.attempts > 0 ? `, next try ${j.next_run_at}` : '';
+        const error = j.last_error ? ` - last error: ${j.last_error}` : '';
+        return `- Job #${j.id} ${j.kind}${target}: ${j.status} (attempts ${j.attempts}${retry}, queued ${j.created_at})${error}`;
+      });
+      return {
+        content: [{ type: 'text', text: `${jobs.length} jobs:\n${lines.join('\n')}` }]
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Failed to list jobs: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// --- Tool: memory_job_cancel ---
+server.tool(
+  'memory_job_cancel',
+  'Cancel a pending deferred LLM job. Use memory_jobs to find the job ID.',
+  {
+    job_id: z.number().describe('Job ID')
+  },
+  async ({ job_id }) => {
+    try {
+      const cancelled = memoryDb.cancelJob(job_id);
+      return {
+        content: [{
+          type: 'text',
+          text: cancelled ? `Job #${job_id} cancelled` : `Job #${job_id} not found (or not pending)`
+        }],
+        isError: !cancelled
+      };
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Cancel failed: ${e.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
 // --- Tool: memory_stats ---
 server.tool(
   'memory_stats',
@@ -214,14 +837,21 @@ server.tool(
 
       const lines = [
         `## Memory System Statistics`,
-        `- Total memories: ${stats.totalMemories}`,
+        `- Total memories: ${stats.totalMemories} (in trash: ${stats.trashedMemories})`,
         `- Total clusters: ${stats.totalClusters} (mature: ${stats.matureClusters})`,
+        `- Superseded memories: ${stats.supersededMemories || 0}, open conflicts: ${stats.openConflicts || 0}`,
+        `- Pinned memories: ${stats.pinnedMemories || 0}`,
+        `- Embedding model: ${stats.embedding?.active?.key || 'none'}${stats.embedding?.target ? ` (re-embedding into ${stats.embedding.target.key}: ${stats.embedding.pending} pending, ${stats.embedding.failed.length} failed)` : ''}`,
+        `- Deferred LLM jobs: ${stats.jobs?.pending || 0} pending, ${stats.jobs?.failed || 0} failed`,
         '',
         '### By Type',
         ...Object.entries(stats.byType).map(([k, v]) => `  - ${k}: ${v}`),
         '',
         '### By Domain',
-        ...Object.entries(stats.byDomain).map(([k, v]) => `  - ${k}: ${v}`)
+        ...Object.entries(stats.byDomain).map(([k, v]) => `  - ${k}: ${v}`),
+        '',
+        '### By Project',
+        ...Object.entries(stats.byProject).map(([k, v]) => `  - ${k}: ${v}`)
       ];
 
       return {
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Offline end-to-end check of lib/memory-db.js: save (structured, rejected,
+ * deduplicated), cluster merge, unmerge and purge, pins with the session digest
+ * and lib/compact-analyzer.js analyzeAndSave, against the mock LLM provider and
+ * the hash embedding provider in a temporary data directory. Needs no model
+ * and leaves the configured memory.db alone.
+ *
+ * Usage:
+ *   node tools/check-memory-db.js
+ */
+// Sets LLM_PORT / LLM_PROVIDER before anything reads config.js
+const { runChecks } = require('./check-mock-llm');
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before lib/memory-db.js and lib/compact-analyzer.js read their settings
+const config = require('../config');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-check-'));
+config.dataDir = dataDir;
+config.logDir = path.join(dataDir, 'logs');
+fs.mkdirSync(config.logDir);
+// A spare port: a running embedding server must not take the saves
+config.embeddingPort = Number(process.env.EMBEDDING_CHECK_PORT) || 23898;
+config.embedding = { ...config.embedding, provider: 'hash', dimensions: 256, delegate: false };
+
+const db = require('../lib/memory-db');
+const { analyzeAndSave } = require('../lib/compact-analyzer');
+
+// Every check works in its own project, so they cannot see each other's memories
+const projectDir = name => path.join(dataDir, 'projects', name);
+
+const quiet = fn => async (...args) => {
+  const log = console.log;
+  console.log = () => {};
+  try { return await fn(...args); } finally { console.log = log; }
+};
+const save = quiet(db.save);
+const isTrashed = id => !!db.getDb().prepare('SELECT deleted_at FROM memories WHERE id = ?').get(id).deleted_at;
+
+/**
+ * Save memories and group them into one mature cluster
+ * @returns {object} { clusterId, ids }
+ */
+async function createMatureCluster(project, texts) {
+  const ids = [];
+  for (const text of texts) {
+    const result = await save(text, { type: 'decision', domain: 'backend', confidence: 0.8, project, skipClustering: true, skipConflictCheck: true });
+    assert.strictEqual(result.action, 'created', JSON.stringify(result));
+    ids.push(result.id);
+  }
+  const clusters = await db.autoCluster({ similarityThreshold: 0.3 });
+  const cluster = clusters.find(c => c.project === project);
+  assert.ok(cluster, `no cluster in ${JSON.stringify(clusters)}`);
+  assert.deepStrictEqual([...cluster.memberIds].sort(), [...ids].sort());
+  db.getDb().prepare("UPDATE clusters SET status = 'mature' WHERE id = ?").run(cluster.id);
+  return { clusterId: cluster.id, ids };
+}
+
+const CLUSTER_TEXTS = [
+  'Deploy the backend with the blue green script after the staging smoke run passes.',
+  'Deploy the backend only from the main branch, after the staging smoke run passes.',
+  'Deploy the backend behind the load balancer drain step once the smoke run passes.'
+];
+
+const checks = [
+  ['save (structured by the LLM)', async () => {
+    const result = await save('Always run the database migrations before starting the embedding server.', { type: 'decision', project: projectDir('save') });
+    assert.strictEqual(result.action, 'created', JSON.stringify(result));
+    const memory = db.getMemory(result.id);
+    assert.match(memory.structured_content, /<what>Always run the database migrations/);
+    assert.match(memory.prompt_version, /^structurize@/);
+    assert.deepStrictEqual(db.listJobs({ status: 'pending' }), []);
+  }],
+  ['save (rejected by the LLM)', async () => {
+    const result = await save('ok thanks', { project: projectDir('save') });
+    assert.deepStrictEqual({ id: result.id, action: result.action }, { id: null, action: 'rejected' });
+  }],
+  ['save (deduplicated)', async () => {
+    const text = 'Use pnpm for installs and keep the lockfile committed.';
+    const first = await save(text, { type: 'decision', project: projectDir('dedup') });
+    const again = await save(text, { type: 'decision', project: projectDir('dedup') });
+    assert.strictEqual(again.id, first.id);
+    assert.strictEqual(again.action, 'updated');
+    const count = db.getDb().prepare('SELECT COUNT(*) AS n FROM memories WHERE project = ?').get(projectDir('dedup')).n;
+    assert.strictEqual(count, 1);
+  }],
+  ['mergeClusterMemories and unmergeCluster', async () => {
+    const { clusterId, ids } = await createMatureCluster(projectDir('unmerge'), CLUSTER_TEXTS);
+    const merged = await quiet(db.mergeClusterMemories)(clusterId);
+    assert.ok(merged && merged.memoryId, JSON.stringify(merged));
+    assert.match(db.getMemory(merged.memoryId).structured_content, /<what>Deploy the backend/);
+    assert.strictEqual(db.getProvenance(merged.memoryId).sources.length, ids.length);
+    assert.ok(ids.every(isTrashed), 'sources not trashed');
+
+    const undone = await db.unmergeCluster(clusterId);
+    assert.deepStrictEqual([...undone.restored].sort(), [...ids].sort());
+    assert.deepStrictEqual(undone.removed, [merged.memoryId]);
+    assert.ok(!ids.some(isTrashed), 'sources not restored');
+    assert.ok(isTrashed(merged.memoryId), 'merged memory not trashed');
+  }],
+  ['purgeTrash keeps the provenance of purged sources', async () => {
+    const { clusterId, ids } = await createMatureCluster(projectDir('purge'), CLUSTER_TEXTS.map(t => t.replace('backend', 'worker')));
+    const merged = await quiet(db.mergeClusterMemories)(clusterId);
+    db.getDb().prepare(`UPDATE memories SET deleted_at = datetime('now', '-90 days') WHERE id IN (${ids.join(',')})`).run();
+    assert.strictEqual(db.purgeTrash({ olderThanDays: 30 }), ids.length);
+
+    const sources = db.getProvenance(merged.memoryId).sources;
+    assert.deepStrictEqual(sources.map(s => s.status), ids.map(() => 'purged'));
+    const undone = await db.unmergeCluster(clusterId);
+    assert.deepStrictEqual([...undone.missing].sort(), [...ids].sort());
+  }],
+  ['pins in the session digest', async () => {
+    const project = projectDir('digest');
+    const pinned = await save('Never push directly to the main branch, open a pull request.', { type: 'decision', project, skipConflictCheck: true });
+    await save('Prefer small commits with one change each over large ones.', { type: 'preference', confidence: 0.8, project, skipConflictCheck: true });
+    db.pinMemory(pinned.id);
+    const digest = db.getSessionDigest({ project });
+    assert.deepStrictEqual(digest.pinned.map(m => m.id), [pinned.id]);
+    assert.ok(!digest.decisions.some(m => m.id === pinned.id), 'pinned memory repeated in decisions');
+    assert.deepStrictEqual(digest.pinnedOmitted, []);
+  }],
+  ['analyzeAndSave', async () => {
+    const cwd = projectDir('analyze');
+    const transcript = path.join(dataDir, 'transcript.jsonl');
+    const lines = [
+      ['user', 'From now on always run the linter before committing anything.'],
+      ['assistant', 'Understood, I will run the linter before each commit.'],
+      ['user', 'The build failed with a missing module error, fixed by reinstalling dependencies.'],
+      ['assistant', 'Good to know, reinstalling dependencies fixed the missing module.'],
+      ['user', 'Thanks, that is all for today and see you tomorrow.']
+    ];
+    fs.writeFileSync(transcript, lines.map(([role, content]) => JSON.stringify({ message: { role, content } })).join('\n'));
+
+    const result = await analyzeAndSave(transcript, 'check-session', { cwd, memoryDb: db });
+    assert.deepStrictEqual(result, { saved: 2, total: 2 });
+    const types = db.getDb().prepare('SELECT type FROM memories WHERE project = ? ORDER BY id').all(cwd).map(r => r.type);
+    assert.deepStrictEqual(types, ['decision', 'bug']);
+  }]
+];
+
+runChecks(checks)
+  .then((failed) => {
+    db.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(failed === 0 ? 0 : 1);
+  })
+  .catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
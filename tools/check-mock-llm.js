@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Offline check of the LLM paths against the mock provider: starts
+ * services/llm-server.js with LLM_PROVIDER=mock on a spare port and runs
+ * structurize (default and project-override prompts), merge and analyzeSession
+ * through lib/llm-client.js. Needs no model and touches no memory.db.
+ * runChecks() is also used by tools/check-memory-db.js.
+ *
+ * Usage:
+ *   node tools/check-mock-llm.js
+ */
+const { spawn } = require('child_process');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before lib/llm-client.js reads config.llmPort
+process.env.LLM_PORT = process.env.LLM_PORT || '23899';
+process.env.LLM_PROVIDER = 'mock';
+
+const llmClient = require('../lib/llm-client');
+const { PROJECT_PROMPTS_DIR } = require('../lib/prompt-templates');
+
+const SERVER = path.resolve(__dirname, '..', 'services', 'llm-server.js');
+
+async function waitForServer(timeoutMs = 10000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (await llmClient.isAvailable()) return;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Mock LLM server did not start on port ${process.env.LLM_PORT}`);
+}
+
+/**
+ * Project whose structurize prompt is reworded, to check the mock does not depend on prompt wording
+ */
+function createOverrideProject() {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-mock-llm-'));
+  const dir = path.join(project, PROJECT_PROMPTS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'structurize.md'), '---\nversion: 7\n---\nTurn the note into <memory type="{{type}}"> XML, or answer REJECT.\n');
+  return project;
+}
+
+const checks = [
+  ['structurize', async () => {
+    const result = await llmClient.structurize('Always run the migrations before starting the embedding server.', 'decision');
+    assert.ok(!result.error, result.error);
+    assert.match(result.structured, /<what>Always run the migrations/);
+    assert.match(result.structured, /domain="orm"/);
+    assert.match(result.promptVersion, /^structurize@/);
+  }],
+  ['structurize (rejected)', async () => {
+    const result = await llmClient.structurize('ok thanks', 'context');
+    assert.ok(result.structured && result.structured.__rejected, `not rejected: ${JSON.stringify(result)}`);
+  }],
+  ['structurize (project prompt override)', async () => {
+    const project = createOverrideProject();
+    try {
+      const result = await llmClient.structurize('Never commit generated files under the dist directory.', 'decision', { project });
+      assert.ok(!result.error, result.error);
+      assert.match(result.structured, /<memory type="decision"/);
+      assert.strictEqual(result.promptVersion, 'structurize@7+project');
+    } finally {
+      fs.rmSync(project, { recursive: true, force: true });
+    }
+  }],
+  ['merge', async () => {
+    const result = await llmClient.merge(['Use pnpm for installs.', 'Run pnpm install --frozen-lockfile in CI.'], 'backend');
+    assert.ok(!result.error, result.error);
+    assert.match(result.merged, /<what>Use pnpm for installs/);
+  }],
+  ['merge (error answered by the server)', async () => {
+    const result = await llmClient.merge([], 'general');
+    assert.strictEqual(result.unavailable, false, JSON.stringify(result));
+    assert.match(result.error, /memories array required/);
+  }],
+  ['analyzeSession', async () => {
+    const transcript = [
+      '[User] From now on always run the linter before committing.',
+      '[Assistant] Understood.',
+      '[User] The build failed with a missing module error, fixed by reinstalling dependencies.',
+      '[User] hello'
+    ].join('\n');
+    const result = await llmClient.analyzeSession(transcript);
+    assert.ok(!result.error, result.error);
+    assert.deepStrictEqual(result.memories.map(m => m.type), ['decision', 'bug']);
+  }]
+];
+
+/**
+ * Run [name, async fn] checks in order against a mock LLM server started for them
+ * @returns {number} Number of failed checks
+ */
+async function runChecks(list) {
+  const server = spawn(process.execPath, [SERVER], { env: process.env, stdio: ['ignore', 'ignore', 'inherit'] });
+  let failed = 0;
+  try {
+    await waitForServer();
+    for (const [name, run] of list) {
+      try {
+        await run();
+        console.log(`ok   ${name}`);
+      } catch (e) {
+        failed++;
+        console.log(`FAIL ${name}: ${e.message}`);
+      }
+    }
+  } finally {
+    server.kill();
+  }
+  console.log(failed === 0 ? `All ${list.length} checks passed` : `${failed} of ${list.length} checks failed`);
+  return failed;
+}
+
+if (require.main === module) {
+  runChecks(checks)
+    .then(failed => process.exit(failed === 0 ? 0 : 1))
+    .catch((e) => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runChecks };
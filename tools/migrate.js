@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Apply pending memory.db schema migrations.
+ *
+ * Usage:
+ *   node tools/migrate.js            apply pending migrations
+ *   node tools/migrate.js --dry-run  only list what would be applied
+ */
+const memoryDb = require('../lib/memory-db');
+
+function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const report = memoryDb.migrateSchema({ dryRun });
+
+  console.log(`Schema version: ${report.fromVersion} (latest: ${report.targetVersion})`);
+
+  if (dryRun) {
+    if (report.pending.length === 0) {
+      console.log('Up to date, nothing to apply.');
+    } else {
+      console.log(`Pending migrations (${report.pending.length}):`);
+      for (const m of report.pending) console.log(`  #${m.version} ${m.name} - ${m.description}`);
+      console.log('Dry run: nothing applied.');
+    }
+  } else if (report.applied.length === 0) {
+    console.log('Up to date, nothing to apply.');
+  } else {
+    for (const m of report.applied) console.log(`  applied #${m.version} ${m.name}`);
+    console.log(`Schema version is now ${report.toVersion}`);
+  }
+
+  memoryDb.closeDb();
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -1,27 +1,102 @@
 #!/usr/bin/env node
+/**
+ * Rebuild memory vectors (and optionally the FTS index).
+ *
+ * Vectors are written into a shadow table that replaces the active one only
+ * when the rebuild completes, so an interrupted run leaves search working;
+ * running the tool again resumes where it stopped.
+ *
+ * Usage:
+ *   node tools/rebuild-vectors.js [options]
+ *     --domain <name>      only memories of this domain
+ *     --project <path>     only memories of this project ('' = global)
+ *     --from-id <id>       only memories with id >= <id>
+ *     --to-id <id>         only memories with id <= <id>
+ *     --batch-size <n>     memories embedded per batch (default 50)
+ *     --restart            discard a pending rebuild and start over
+ *     --fts                also rebuild the FTS index
+ */
 const memoryDb = require('../lib/memory-db');
 
+function parseArgs(argv) {
+  const args = { filter: {}, batchSize: 50, restart: false, fts: false };
+  for (let i = 0; i < argv.length; i++) {
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${argv[i]}`);
+      return argv[++i];
+    };
+    const id = (flag) => {
+      const n = Number(value());
+      if (!Number.isInteger(n)) throw new Error(`${flag} expects a memory id`);
+      return n;
+    };
+    switch (argv[i]) {
+      case '--domain': args.filter.domain = value(); break;
+      case '--project': args.filter.project = value() || null; break;
+      case '--from-id': args.filter.fromId = id('--from-id'); break;
+      case '--to-id': args.filter.toId = id('--to-id'); break;
+      case '--batch-size': args.batchSize = Math.max(1, Number(value()) || 50); break;
+      case '--restart': args.restart = true; break;
+      case '--fts': args.fts = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function printFailures(failed) {
+  for (const f of failed) console.log(`  #${f.id}: ${f.error}`);
+}
+
 async function main() {
-  console.log('Rebuilding all embeddings...');
-  const vecResult = await memoryDb.rebuildAllEmbeddings();
-  console.log('Embeddings done:', vecResult);
-
-  console.log('Rebuilding FTS index...');
-  const db = memoryDb.getDb();
-  db.exec('DROP TABLE IF EXISTS memories_fts');
-  db.exec(`CREATE VIRTUAL TABLE memories_fts USING fts5(content, structured_content, summary, tags, keywords)`);
-  const rows = db.prepare('SELECT id, content, structured_content, summary, tags, keywords FROM memories').all();
-  let count = 0;
-  const insert = db.prepare('INSERT INTO memories_fts(rowid, content, structured_content, summary, tags, keywords) VALUES (?, ?, ?, ?, ?, ?)');
-  for (const r of rows) {
-    try {
-      insert.run(r.id, memoryDb.tokenize(r.content || ''), memoryDb.tokenize(r.structured_content || ''), memoryDb.tokenize(r.summary || ''), memoryDb.tokenize(r.tags || ''), memoryDb.tokenize(r.keywords || ''));
-      count++;
-    } catch (e) {}
+  const args = parseArgs(process.argv.slice(2));
+  let ok = true;
+
+  const status = memoryDb.getEmbeddingStatus();
+  if (status.target && !args.restart) {
+    const filter = status.target.filter ? ` (${JSON.stringify(status.target.filter)})` : '';
+    console.log(`Resuming pending rebuild of ${status.target.key}${filter}: ${status.target.vectors} done, ${status.pending} remaining`);
+    if (Object.keys(args.filter).length > 0) console.log('Note: filter options are ignored when resuming; use --restart to start a new rebuild.');
+  } else {
+    console.log('Rebuilding embeddings...');
+  }
+
+  const result = await memoryDb.rebuildAllEmbeddings({
+    filter: args.filter,
+    batchSize: args.batchSize,
+    restart: args.restart,
+    onProgress: step => {
+      if (step.status === 'running') console.log(`  ${step.rebuilt} embedded, ${step.remaining} remaining`);
+    }
+  });
+
+  if (result.success) {
+    console.log(`Embeddings done: ${result.rebuilt} embedded, ${result.space} active`);
+  } else {
+    ok = false;
+    console.log(`Embeddings incomplete: ${result.error}${result.remaining !== undefined ? ` (${result.remaining} remaining, run again to resume)` : ''}`);
+  }
+  if (result.failed && result.failed.length > 0) {
+    console.log(`Failed memories (${result.failed.length}):`);
+    printFailures(result.failed);
+  }
+
+  if (args.fts) {
+    console.log('Rebuilding FTS index...');
+    const fts = memoryDb.rebuildFtsIndex();
+    console.log(`FTS done: ${fts.indexed}/${fts.total} indexed`);
+    if (fts.failed.length > 0) {
+      ok = false;
+      console.log(`Failed memories (${fts.failed.length}):`);
+      printFailures(fts.failed);
+    }
   }
-  console.log(`FTS done: ${count}/${rows.length} indexed`);
 
   memoryDb.closeDb();
+  if (!ok) process.exitCode = 1;
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});